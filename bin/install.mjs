@@ -12,10 +12,21 @@
  *   npx @buivietphi/skill-backend --gemini     # Gemini CLI
  *   npx @buivietphi/skill-backend --kimi       # Kimi
  *   npx @buivietphi/skill-backend --antigravity # Antigravity
- *   npx @buivietphi/skill-backend --auto       # Auto-detect (postinstall)
+ *   npx @buivietphi/skill-backend --auto       # Auto-detect (postinstall; skipped on CI or SKILL_BACKEND_SKIP_POSTINSTALL=1)
  *   npx @buivietphi/skill-backend --path DIR   # Custom path
+ *   npx @buivietphi/skill-backend --claude --project  # Into ./.claude/skills + skill-backend-mt.lock.json (commit both)
  *   npx @buivietphi/skill-backend --init       # Generate project-level rules (interactive)
  *   npx @buivietphi/skill-backend --init cursor    # Generate .cursorrules
+ *   npx @buivietphi/skill-backend --init cursor-mdc  # Generate glob-scoped .cursor/rules/*.mdc
+ *   npx @buivietphi/skill-backend --init claude    # Generate CLAUDE.md with detected values
+ *   npx @buivietphi/skill-backend --init agents    # Generate a cross-agent AGENTS.md
+ *   npx @buivietphi/skill-backend --init aider     # CONVENTIONS.md + .aider.conf.yml read: entry
+ *   npx @buivietphi/skill-backend --context        # Smart-load tokens for this project vs context windows
+ *   npx @buivietphi/skill-backend --verify         # Lint SKILL.md routing tables, sizes and version (exit 1 on errors)
+ *   npx @buivietphi/skill-backend --claude --only nestjs,fastapi  # Only these framework files
+ *   npx @buivietphi/skill-backend --claude --slim  # Only the framework detected in the cwd
+ *   npx @buivietphi/skill-backend --claude --pack DIR  # Merge a rule pack (pack.json + .md files), repeatable
+ *   npx @buivietphi/skill-backend --uninstall --pack NAME  # Remove a rule pack, keep the skill
  *   npx @buivietphi/skill-backend --init copilot   # Generate .github/copilot-instructions.md
  *   npx @buivietphi/skill-backend --init windsurf  # Generate .windsurfrules
  *   npx @buivietphi/skill-backend --init cline      # Generate .clinerules/backend-rules.md
@@ -23,809 +34,55 @@
  *   npx @buivietphi/skill-backend --init kilocode   # Generate .kilocode/rules/backend-rules.md
  *   npx @buivietphi/skill-backend --init kiro       # Generate .kiro/steering/backend-rules.md
  *   npx @buivietphi/skill-backend --init all        # Generate all project-level files
+ *   npx @buivietphi/skill-backend --init all --refresh  # Rewrite the managed block, keep hand-written text
+ *   npx @buivietphi/skill-backend --init --check        # CI: exit 1 when rules files are out of date
+ *   npx @buivietphi/skill-backend --init --check --json # Same, per-file status as JSON
+ *   npx @buivietphi/skill-backend --init all --layout packages  # Monorepo: also one file per package
+ *   npx @buivietphi/skill-backend --init all --template FILE    # Render from your own rules template
+ *   npx @buivietphi/skill-backend --init windsurf --budget 1500 # Trim rules to a token budget
+ *   npx @buivietphi/skill-backend --uninstall             # Remove installed skills (interactive)
+ *   npx @buivietphi/skill-backend --uninstall --all       # Remove from every agent
+ *   npx @buivietphi/skill-backend --uninstall --path DIR  # Remove from a custom path
+ *   npx @buivietphi/skill-backend --uninstall --init all  # Remove generated project-level files
+ *   npx @buivietphi/skill-backend --status         # Installed version + drift per agent (alias: doctor)
+ *   npx @buivietphi/skill-backend --status --fix   # Reinstall agents that drifted or are outdated
+ *   npx @buivietphi/skill-backend --update         # Update installs, keep locally edited files
+ *   npx @buivietphi/skill-backend --update --on-conflict keep|overwrite|new
+ *   npx @buivietphi/skill-backend --rollback [version]  # Restore a backup from .skill-backend-mt.backups/
+ *   npx @buivietphi/skill-backend --claude --keep-backups 5  # Backups kept per agent (default 3, 0 = none)
+ *   npx @buivietphi/skill-backend --dry-run ...    # Print what would change, touch nothing
+ *   npx @buivietphi/skill-backend --detect         # Detected stack of the cwd (monorepo packages too)
+ *
+ * Team config: .skill-backend.json (or "skillBackend" in package.json, [tool.skillBackend] in
+ * pyproject.toml) pins detected values, picks agents, disables sections, adds Never / Always rules,
+ * sets how many backups to keep.
+ *   npx @buivietphi/skill-backend --claude --json  # Install / --init / --detect results as JSON
+ *
+ * Also importable (lib/api.mjs): import { detectProject, install, initProjectFiles } from '@buivietphi/skill-backend-mt'
  */
 
-import { existsSync, mkdirSync, cpSync, readFileSync, writeFileSync, readdirSync } from 'node:fs';
+import { existsSync } from 'node:fs';
 import { join, resolve, dirname } from 'node:path';
-import { homedir } from 'node:os';
-import { fileURLToPath } from 'node:url';
-
-const __dirname = dirname(fileURLToPath(import.meta.url));
-const PKG_ROOT = resolve(__dirname, '..');
-const SKILL_NAME = 'skill-backend-mt';
-const HOME = homedir();
-
-// Structure: root files + subfolders
-const ROOT_FILES = ['SKILL.md', 'AGENTS.md'];
-
-const SUBFOLDERS = ['nodejs', 'python', 'java', 'php', 'others', 'shared'];
-
-// Read all .md files from a folder dynamically
-function getMdFiles(folder) {
-  const dir = join(PKG_ROOT, folder);
-  if (!existsSync(dir)) return [];
-  return readdirSync(dir).filter(f => f.endsWith('.md'));
-}
-
-const AGENTS = {
-  claude:       { name: 'Claude Code',  dir: join(HOME, '.claude', 'skills'),   detect: () => existsSync(join(HOME, '.claude')) },
-  cline:        { name: 'Cline',        dir: join(HOME, '.cline', 'skills'),    detect: () => existsSync(join(HOME, '.cline')) },
-  roocode:      { name: 'Roo Code',     dir: join(HOME, '.roo', 'skills'),      detect: () => existsSync(join(HOME, '.roo')) },
-  cursor:       { name: 'Cursor',       dir: join(HOME, '.cursor', 'skills'),   detect: () => existsSync(join(HOME, '.cursor')) },
-  windsurf:     { name: 'Windsurf',     dir: join(HOME, '.windsurf', 'skills'), detect: () => existsSync(join(HOME, '.windsurf')) },
-  copilot:      { name: 'Copilot',      dir: join(HOME, '.copilot', 'skills'),  detect: () => existsSync(join(HOME, '.copilot')) },
-  codex:        { name: 'Codex',        dir: join(HOME, '.codex', 'skills'),    detect: () => existsSync(join(HOME, '.codex')) },
-  gemini:       { name: 'Gemini CLI',   dir: join(HOME, '.gemini', 'skills'),   detect: () => existsSync(join(HOME, '.gemini')) },
-  kimi:         { name: 'Kimi',         dir: join(HOME, '.kimi', 'skills'),     detect: () => existsSync(join(HOME, '.kimi')) },
-  kilocode:     { name: 'Kilo Code',    dir: join(HOME, '.kilocode', 'skills'), detect: () => existsSync(join(HOME, '.kilocode')) },
-  kiro:         { name: 'Kiro',         dir: join(HOME, '.kiro', 'skills'),     detect: () => existsSync(join(HOME, '.kiro')) },
-  antigravity:  { name: 'Antigravity',  dir: join(HOME, '.agents', 'skills'),   detect: () => existsSync(join(HOME, '.agents')) },
-};
-
-const c = { reset: '\x1b[0m', bold: '\x1b[1m', dim: '\x1b[2m', green: '\x1b[32m', yellow: '\x1b[33m', blue: '\x1b[34m', cyan: '\x1b[36m', red: '\x1b[31m' };
-const log = m => process.stdout.write(m + '\n');
-const ok  = m => log(`  ${c.green}\u2713${c.reset} ${m}`);
-const info = m => log(`  ${c.blue}\u2139${c.reset} ${m}`);
-const fail = m => log(`  ${c.red}\u2717${c.reset} ${m}`);
-
-function banner() {
-  log(`\n${c.bold}${c.cyan}  \u250C\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2510`);
-  log(`  \u2502  \uD83D\uDD27 @buivietphi/skill-backend-mt v1.1.2          \u2502`);
-  log(`  \u2502  Master Senior Backend Engineer                  \u2502`);
-  log(`  \u2502                                                  \u2502`);
-  log(`  \u2502  Claude \u00B7 Cline \u00B7 Roo Code \u00B7 Cursor \u00B7 Windsurf  \u2502`);
-  log(`  \u2502  Copilot \u00B7 Codex \u00B7 Gemini \u00B7 Kimi \u00B7 Kilo \u00B7 Kiro  \u2502`);
-  log(`  \u2502  Antigravity                                     \u2502`);
-  log(`  \u2502  NestJS \u00B7 Next.js \u00B7 Express \u00B7 Vue \u00B7 Django \u00B7 FastAPI\u2502`);
-  log(`  \u2502  Spring Boot \u00B7 Laravel \u00B7 Go \u00B7 Ruby \u00B7 Rust        \u2502`);
-  log(`  \u2514\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2518${c.reset}\n`);
-}
-
-function tokenCount(filePath) {
-  if (!existsSync(filePath)) return 0;
-  return Math.ceil(readFileSync(filePath, 'utf-8').length / 3.5);
-}
-
-function showContext() {
-  log(`${c.bold}  \uD83D\uDCCA Context budget:${c.reset}`);
-  let total = 0;
-  for (const f of ROOT_FILES) {
-    const t = tokenCount(join(PKG_ROOT, f));
-    total += t;
-    log(`  ${c.dim}  ${f.padEnd(30)} ~${t.toLocaleString()} tokens${c.reset}`);
-  }
-  for (const folder of SUBFOLDERS) {
-    let ft = 0;
-    for (const f of getMdFiles(folder)) ft += tokenCount(join(PKG_ROOT, folder, f));
-    total += ft;
-    log(`  ${c.dim}  ${(folder + '/').padEnd(30)} ~${ft.toLocaleString()} tokens${c.reset}`);
-  }
-  log(`${c.dim}  \u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500${c.reset}`);
-  log(`  ${c.bold}  All loaded:${c.reset}                    ~${total.toLocaleString()} tokens`);
-  log(`  ${c.green}  Smart load (1 platform):${c.reset}       ~${Math.ceil(total * 0.55).toLocaleString()} tokens\n`);
-}
+import {
+  AGENTS, askConflict, BACKUPS, banner, c, checkProjectFiles, CONFLICT_CHOICES, ctx, detect, fail,
+  findLockfile, info, initProjectFiles, installHumanizer, installTarget, isWritten, LAYOUTS,
+  listBackups, loadPack, loadTemplate, LOCKFILE, log, NEEDS_PROJECT_FILE, newRun, ok,
+  PACK_MANIFEST, PKG_NAME, PKG_ROOT, PKG_VERSION, plain, printDiff, printJson, PROJECT_AGENTS,
+  readJsonc, readManifest, removeProjectFiles, resolveOnly, rollback, runs, runStatus,
+  selectProjectAgents, showContext, showContextReport, showDetection, showVerifyReport, SKILL_NAME,
+  slimFiles, smartLoadSet, stackName, teamConfig, uninstall, update, verifySkill, warn,
+  warnCopyDrift, writeLock,
+} from '../lib/skill-backend.mjs';
 
-function install(baseDir, agentName) {
-  // Install main skill
-  const dst = join(baseDir, SKILL_NAME);
-  mkdirSync(dst, { recursive: true });
-  let n = 0;
-  for (const f of ROOT_FILES) {
-    const src = join(PKG_ROOT, f);
-    if (!existsSync(src)) continue;
-    cpSync(src, join(dst, f), { force: true });
-    n++;
-  }
-  for (const folder of SUBFOLDERS) {
-    const dstFolder = join(dst, folder);
-    mkdirSync(dstFolder, { recursive: true });
-    for (const f of getMdFiles(folder)) {
-      const src = join(PKG_ROOT, folder, f);
-      cpSync(src, join(dstFolder, f), { force: true });
-      n++;
-    }
-  }
-  ok(`${c.bold}${SKILL_NAME}/${c.reset} \u2192 ${agentName} ${c.dim}(${dst})${c.reset}`);
-
-  // Auto-install humanizer-backend as separate skill
-  const humanizerSrc = join(PKG_ROOT, 'humanizer', 'humanizer-backend.md');
-  if (existsSync(humanizerSrc)) {
-    const humDst = join(baseDir, 'humanizer-backend');
-    mkdirSync(humDst, { recursive: true });
-    cpSync(humanizerSrc, join(humDst, 'humanizer-backend.md'), { force: true });
-    ok(`${c.bold}humanizer-backend/${c.reset} \u2192 ${agentName} ${c.dim}(${humDst})${c.reset}`);
-  }
-
-  return n;
-}
-
-// --- Project Auto-Detect ---------------------------------------------------------
-
-function detectProject(dir) {
-  const has = f => existsSync(join(dir, f));
-  const readJson = f => { try { return JSON.parse(readFileSync(join(dir, f), 'utf-8')); } catch { return null; } };
-  const readText = f => { try { return readFileSync(join(dir, f), 'utf-8'); } catch { return ''; } };
-
-  let framework = '[NestJS / Next.js / Express / Django / FastAPI / Spring Boot / Laravel / Go / Rust]';
-  let language  = '[TypeScript / JavaScript / Python / Java / Kotlin / PHP / Go / Ruby / Rust]';
-  let orm       = '[Prisma / TypeORM / Sequelize / Drizzle / Mongoose / SQLAlchemy / Django ORM / Spring Data / Eloquent]';
-  let apiStyle  = 'REST';
-  let pkgMgr    = '[npm / yarn / bun / pnpm / pip / poetry / maven / gradle / composer / go mod / bundler / cargo]';
-
-  // --- Detect framework + language ---
-
-  // NestJS
-  if (has('nest-cli.json')) {
-    framework = 'NestJS'; language = 'TypeScript';
-  } else if (has('package.json')) {
-    const pkg = readJson('package.json');
-    const deps = { ...(pkg?.dependencies || {}), ...(pkg?.devDependencies || {}) };
-
-    if (deps['@nestjs/core'])              { framework = 'NestJS'; language = 'TypeScript'; }
-    else if (deps['next'] || has('next.config.js') || has('next.config.mjs') || has('next.config.ts'))
-                                           { framework = 'Next.js'; language = deps['typescript'] || has('tsconfig.json') ? 'TypeScript' : 'JavaScript'; }
-    else if (deps['nuxt'] || has('nuxt.config.js') || has('nuxt.config.ts'))
-                                           { framework = 'Nuxt.js'; language = deps['typescript'] || has('tsconfig.json') ? 'TypeScript' : 'JavaScript'; }
-    else if (deps['vue'])                  { framework = 'Vue.js'; language = deps['typescript'] || has('tsconfig.json') ? 'TypeScript' : 'JavaScript'; }
-    else if (deps['express'])              { framework = 'Express'; language = deps['typescript'] || has('tsconfig.json') ? 'TypeScript' : 'JavaScript'; }
-    else if (deps['fastify'])              { framework = 'Fastify'; language = deps['typescript'] || has('tsconfig.json') ? 'TypeScript' : 'JavaScript'; }
-    else {
-      language = deps['typescript'] || has('tsconfig.json') ? 'TypeScript' : 'JavaScript';
-    }
-
-    // ORM detection (Node.js)
-    if (deps['@prisma/client'])            { orm = 'Prisma'; }
-    else if (deps['typeorm'])              { orm = 'TypeORM'; }
-    else if (deps['sequelize'])            { orm = 'Sequelize'; }
-    else if (deps['drizzle-orm'])          { orm = 'Drizzle'; }
-    else if (deps['mongoose'])             { orm = 'Mongoose'; }
-
-    // API style detection (Node.js)
-    if (deps['@nestjs/graphql'] || deps['apollo-server'] || deps['@apollo/server'])
-                                           { apiStyle = 'GraphQL'; }
-
-    // Package manager detection (Node.js)
-    if (has('bun.lockb'))                  { pkgMgr = 'bun'; }
-    else if (has('pnpm-lock.yaml'))        { pkgMgr = 'pnpm'; }
-    else if (has('yarn.lock'))             { pkgMgr = 'yarn'; }
-    else if (has('package-lock.json'))     { pkgMgr = 'npm'; }
-
-  } else if (has('manage.py')) {
-    // Django / FastAPI / Flask (Python)
-    const managePy = readText('manage.py');
-    const requirements = readText('requirements.txt');
-    const pyproject = readText('pyproject.toml');
-    const allPyDeps = requirements + '\n' + pyproject;
-
-    if (managePy.includes('django') || allPyDeps.includes('django'))
-                                           { framework = 'Django'; language = 'Python'; }
-    else if (allPyDeps.includes('fastapi')){ framework = 'FastAPI'; language = 'Python'; }
-    else if (allPyDeps.includes('flask'))  { framework = 'Flask'; language = 'Python'; }
-    else                                   { framework = 'Django'; language = 'Python'; }
-
-    // ORM detection (Python)
-    if (allPyDeps.includes('sqlalchemy'))  { orm = 'SQLAlchemy'; }
-    else if (allPyDeps.includes('django')) { orm = 'Django ORM'; }
-
-    // Package manager (Python)
-    if (has('poetry.lock'))                { pkgMgr = 'poetry'; }
-    else if (has('requirements.txt'))      { pkgMgr = 'pip'; }
-
-  } else if (has('requirements.txt') || has('pyproject.toml')) {
-    // Python projects without manage.py
-    const requirements = readText('requirements.txt');
-    const pyproject = readText('pyproject.toml');
-    const allPyDeps = requirements + '\n' + pyproject;
-
-    if (allPyDeps.includes('fastapi'))     { framework = 'FastAPI'; language = 'Python'; }
-    else if (allPyDeps.includes('flask'))  { framework = 'Flask'; language = 'Python'; }
-    else if (allPyDeps.includes('django')) { framework = 'Django'; language = 'Python'; }
-    else                                   { framework = 'Python'; language = 'Python'; }
-
-    // ORM detection (Python)
-    if (allPyDeps.includes('sqlalchemy'))  { orm = 'SQLAlchemy'; }
-
-    // Package manager (Python)
-    if (has('poetry.lock'))                { pkgMgr = 'poetry'; }
-    else                                   { pkgMgr = 'pip'; }
-
-  } else if (has('pom.xml')) {
-    // Spring Boot (Maven)
-    const pom = readText('pom.xml');
-    if (pom.includes('spring-boot'))       { framework = 'Spring Boot'; }
-    else                                   { framework = 'Java (Maven)'; }
-    language = 'Java';
-
-    // ORM detection (Java)
-    if (pom.includes('spring-data-jpa'))   { orm = 'Spring Data'; }
-
-    pkgMgr = 'maven';
-
-  } else if (has('build.gradle') || has('build.gradle.kts')) {
-    // Spring Boot (Gradle)
-    const gradle = readText(has('build.gradle.kts') ? 'build.gradle.kts' : 'build.gradle');
-    if (gradle.includes('spring-boot'))    { framework = 'Spring Boot'; }
-    else                                   { framework = has('build.gradle.kts') ? 'Kotlin (Gradle)' : 'Java (Gradle)'; }
-    language = has('build.gradle.kts') ? 'Kotlin' : 'Java';
-
-    // ORM detection (Java/Kotlin)
-    if (gradle.includes('spring-data-jpa')){ orm = 'Spring Data'; }
-
-    pkgMgr = 'gradle';
-
-  } else if (has('composer.json')) {
-    // Laravel / PHP
-    const composer = readJson('composer.json');
-    const deps = { ...(composer?.require || {}), ...(composer?.['require-dev'] || {}) };
-
-    if (deps['laravel/framework'])         { framework = 'Laravel'; }
-    else                                   { framework = 'PHP'; }
-    language = 'PHP';
-
-    // ORM detection (PHP)
-    if (deps['illuminate/database'] || deps['laravel/framework'])
-                                           { orm = 'Eloquent'; }
-
-    pkgMgr = has('composer.lock') ? 'composer' : 'composer';
-
-  } else if (has('go.mod')) {
-    framework = 'Go'; language = 'Go';
-    pkgMgr = 'go mod';
-
-  } else if (has('Gemfile')) {
-    const gemfile = readText('Gemfile');
-    if (gemfile.includes('rails'))         { framework = 'Ruby on Rails'; }
-    else                                   { framework = 'Ruby'; }
-    language = 'Ruby';
-    pkgMgr = has('Gemfile.lock') ? 'bundler' : 'bundler';
-
-  } else if (has('Cargo.toml')) {
-    framework = 'Rust'; language = 'Rust';
-    pkgMgr = has('Cargo.lock') ? 'cargo' : 'cargo';
-  }
-
-  // gRPC detection (cross-language)
-  if (apiStyle === 'REST') {
-    // Check for .proto files or grpc in common config files
-    const checkFiles = ['package.json', 'requirements.txt', 'pyproject.toml', 'pom.xml',
-                        'build.gradle', 'build.gradle.kts', 'go.mod', 'Cargo.toml'];
-    for (const f of checkFiles) {
-      const content = readText(f);
-      if (content.includes('.proto') || content.includes('grpc')) {
-        apiStyle = 'gRPC';
-        break;
-      }
-    }
-  }
-
-  return { framework, language, orm, apiStyle, pkgMgr };
-}
-
-// --- Project-Level File Templates ------------------------------------------------
-
-const PROJECT_AGENTS = {
-  cursor: {
-    name: 'Cursor',
-    file: '.cursorrules',
-    dir:  '.',
-    generate: (p) => `# ${p.framework} Project \u2014 Cursor Rules
-# Generated by @buivietphi/skill-backend-mt
-
-## Project
-- Framework: ${p.framework}
-- Language: ${p.language}
-- ORM: ${p.orm}
-- API Style: ${p.apiStyle}
-- Package Manager: ${p.pkgMgr}
-
-## Code Style
-- Controller \u2192 Service \u2192 Repository layered architecture
-- camelCase for functions, variables, methods
-- PascalCase for classes, interfaces, types
-- Absolute imports with @/ alias (if configured)
-
-## Auto-Check (before every completion)
-- No console.log / print in production code
-- No hardcoded secrets or API keys
-- All async wrapped in try/catch
-- No raw SQL string concatenation \u2014 use parameterized queries
-- All user input validated and sanitized
-- Auth middleware on protected routes
-- No N+1 query patterns \u2014 use eager loading / joins
-- All endpoints return consistent response format
-- Error responses never leak internal details
-
-## Performance
-- Caching strategy for frequently accessed data (Redis / in-memory)
-- Connection pooling for database connections
-- Pagination for all list endpoints
-- No blocking operations on the main event loop
-
-## Security (non-negotiable)
-- Secrets \u2192 environment variables (.env) \u2014 never in code
-- Database queries \u2192 parameterized / prepared statements only
-- CORS \u2192 configured with explicit allowed origins
-- API calls \u2192 HTTPS only
-- Sensitive data \u2192 never in logs
-- User input \u2192 validate and sanitize before processing
-- Auth tokens \u2192 short-lived with refresh rotation
-
-## Never
-- Change framework or architecture
-- Use raw SQL string concatenation
-- Use wildcard (*) CORS in production
-- Store secrets in source code or config files
-- Leave empty catch blocks
-- Mix package managers
-- Add packages without checking compatibility
-- Expose stack traces in production error responses
-
-## Architecture
-- Dependencies flow inward: Controller \u2192 Service \u2192 Repository
-- Single responsibility per file (max 300 lines)
-- Feature-based or module-based organization preferred
-
-## Reference
-- Full skill: ~/.cursor/skills/skill-backend-mt/
-- Patterns from 30+ production repos (200k+ GitHub stars)
-`,
-  },
-
-  copilot: {
-    name: 'GitHub Copilot',
-    file: 'copilot-instructions.md',
-    dir:  '.github',
-    generate: (p) => `# Copilot Instructions \u2014 ${p.framework} Project
-
-> Generated by @buivietphi/skill-backend-mt
-
-## Project Context
-- **Framework:** ${p.framework}
-- **Language:** ${p.language}
-- **ORM:** ${p.orm}
-- **API Style:** ${p.apiStyle}
-- **Package Manager:** ${p.pkgMgr}
-
-## Conventions
-- PascalCase: classes, interfaces, types, DTOs
-- camelCase: functions, methods, variables, services
-- Files named same as their default export
-
-## Required Patterns
-
-### Every async function
-\`\`\`typescript
-try {
-  const result = await service.execute(dto);
-  return { success: true, data: result };
-} catch (error) {
-  logger.error('Operation failed', { error, context });
-  throw new AppException(error.message, HttpStatus.INTERNAL_SERVER_ERROR);
-}
-\`\`\`
-
-### Every endpoint must validate input
-\`\`\`typescript
-@Post()
-async create(@Body() dto: CreateItemDto) {
-  // DTO validated via class-validator / zod / joi
-  return this.service.create(dto);
-}
-\`\`\`
-
-### Every list endpoint must paginate
-\`\`\`typescript
-@Get()
-async findAll(@Query() query: PaginationDto) {
-  return this.service.findAll(query.page, query.limit);
-}
-\`\`\`
-
-## Rules
-- No console.log / print in production
-- No hardcoded secrets or API keys
-- No raw SQL string concatenation
-- All user input validated before processing
-- Auth middleware on all protected routes
-- No N+1 queries \u2014 use eager loading / joins
-- No empty catch blocks
-- Pagination on all list endpoints
-- Consistent error response format
-- No blocking operations on main thread
-
-## Security
-- Secrets \u2192 environment variables only
-- Queries \u2192 parameterized / prepared statements
-- CORS \u2192 explicit allowed origins (no wildcard in production)
-- API calls \u2192 HTTPS only
-- Sensitive data \u2192 never in logs
-- User input \u2192 validate and sanitize
-- Auth tokens \u2192 short-lived with refresh rotation
-
-## Never
-- Suggest migrating to a different framework
-- Use raw SQL string concatenation
-- Use wildcard (*) CORS in production
-- Store secrets in source code
-- Mix package managers
-- Expose stack traces in production errors
-- Add packages without checking compatibility
-
-## Architecture
-- Clean Architecture: Controller \u2192 Service \u2192 Repository
-- Single responsibility per file (max 300 lines)
-- Feature-based or module-based organization preferred
-
-## Reference
-Full skill with patterns from 30+ production repos: ~/.copilot/skills/skill-backend-mt/
-`,
-  },
-
-  cline: {
-    name: 'Cline',
-    file: 'backend-rules.md',
-    dir:  '.clinerules',
-    generate: (p) => `# ${p.framework} Project \u2014 Backend Rules
-# Generated by @buivietphi/skill-backend-mt
-
-## Project
-- Framework: ${p.framework}
-- Language: ${p.language}
-- ORM: ${p.orm}
-- API Style: ${p.apiStyle}
-- Package Manager: ${p.pkgMgr}
-
-## Code Style
-- Controller \u2192 Service \u2192 Repository layered architecture
-- camelCase for functions, variables, methods
-- PascalCase for classes, interfaces, types
-- Absolute imports with @/ alias (if configured)
-
-## Auto-Check (before every completion)
-- No console.log / print in production code
-- No hardcoded secrets or API keys
-- All async wrapped in try/catch
-- No raw SQL string concatenation \u2014 use parameterized queries
-- All user input validated and sanitized
-- Auth middleware on protected routes
-- No N+1 query patterns \u2014 use eager loading / joins
-- All endpoints return consistent response format
-- Error responses never leak internal details
-
-## Performance
-- Caching strategy for frequently accessed data (Redis / in-memory)
-- Connection pooling for database connections
-- Pagination for all list endpoints
-- No blocking operations on the main event loop
-
-## Security (non-negotiable)
-- Secrets \u2192 environment variables (.env) \u2014 never in code
-- Database queries \u2192 parameterized / prepared statements only
-- CORS \u2192 configured with explicit allowed origins
-- API calls \u2192 HTTPS only
-- Sensitive data \u2192 never in logs
-- User input \u2192 validate and sanitize before processing
-- Auth tokens \u2192 short-lived with refresh rotation
-
-## Never
-- Change framework or architecture
-- Use raw SQL string concatenation
-- Use wildcard (*) CORS in production
-- Store secrets in source code or config files
-- Leave empty catch blocks
-- Mix package managers
-- Add packages without checking compatibility
-- Expose stack traces in production error responses
-
-## Architecture
-- Dependencies flow inward: Controller \u2192 Service \u2192 Repository
-- Single responsibility per file (max 300 lines)
-- Feature-based or module-based organization preferred
-
-## Reference
-- Full skill: ~/.cline/skills/skill-backend-mt/
-- Patterns from 30+ production repos (200k+ GitHub stars)
-`,
-  },
-
-  roocode: {
-    name: 'Roo Code',
-    file: 'backend-rules.md',
-    dir:  '.roo/rules',
-    generate: (p) => `# ${p.framework} Project \u2014 Backend Rules
-# Generated by @buivietphi/skill-backend-mt
-
-## Project
-- Framework: ${p.framework}
-- Language: ${p.language}
-- ORM: ${p.orm}
-- API Style: ${p.apiStyle}
-- Package Manager: ${p.pkgMgr}
-
-## Code Style
-- Controller \u2192 Service \u2192 Repository layered architecture
-- camelCase for functions, variables, methods
-- PascalCase for classes, interfaces, types
-- Absolute imports with @/ alias (if configured)
-
-## Auto-Check (before every completion)
-- No console.log / print in production code
-- No hardcoded secrets or API keys
-- All async wrapped in try/catch
-- No raw SQL string concatenation \u2014 use parameterized queries
-- All user input validated and sanitized
-- Auth middleware on protected routes
-- No N+1 query patterns \u2014 use eager loading / joins
-- All endpoints return consistent response format
-- Error responses never leak internal details
-
-## Performance
-- Caching strategy for frequently accessed data (Redis / in-memory)
-- Connection pooling for database connections
-- Pagination for all list endpoints
-- No blocking operations on the main event loop
-
-## Security (non-negotiable)
-- Secrets \u2192 environment variables (.env) \u2014 never in code
-- Database queries \u2192 parameterized / prepared statements only
-- CORS \u2192 configured with explicit allowed origins
-- API calls \u2192 HTTPS only
-- Sensitive data \u2192 never in logs
-- User input \u2192 validate and sanitize before processing
-- Auth tokens \u2192 short-lived with refresh rotation
-
-## Never
-- Change framework or architecture
-- Use raw SQL string concatenation
-- Use wildcard (*) CORS in production
-- Store secrets in source code or config files
-- Leave empty catch blocks
-- Mix package managers
-- Add packages without checking compatibility
-- Expose stack traces in production error responses
-
-## Architecture
-- Dependencies flow inward: Controller \u2192 Service \u2192 Repository
-- Single responsibility per file (max 300 lines)
-- Feature-based or module-based organization preferred
-
-## Reference
-- Full skill: ~/.roo/skills/skill-backend-mt/
-- Patterns from 30+ production repos (200k+ GitHub stars)
-`,
-  },
-
-  kilocode: {
-    name: 'Kilo Code',
-    file: 'backend-rules.md',
-    dir:  '.kilocode/rules',
-    generate: (p) => `# ${p.framework} Project \u2014 Backend Rules
-# Generated by @buivietphi/skill-backend-mt
-
-## Project
-- Framework: ${p.framework}
-- Language: ${p.language}
-- ORM: ${p.orm}
-- API Style: ${p.apiStyle}
-- Package Manager: ${p.pkgMgr}
-
-## Code Style
-- Controller \u2192 Service \u2192 Repository layered architecture
-- camelCase for functions, variables, methods
-- PascalCase for classes, interfaces, types
-- Absolute imports with @/ alias (if configured)
-
-## Auto-Check (before every completion)
-- No console.log / print in production code
-- No hardcoded secrets or API keys
-- All async wrapped in try/catch
-- No raw SQL string concatenation \u2014 use parameterized queries
-- All user input validated and sanitized
-- Auth middleware on protected routes
-- No N+1 query patterns \u2014 use eager loading / joins
-- All endpoints return consistent response format
-- Error responses never leak internal details
-
-## Performance
-- Caching strategy for frequently accessed data (Redis / in-memory)
-- Connection pooling for database connections
-- Pagination for all list endpoints
-- No blocking operations on the main event loop
-
-## Security (non-negotiable)
-- Secrets \u2192 environment variables (.env) \u2014 never in code
-- Database queries \u2192 parameterized / prepared statements only
-- CORS \u2192 configured with explicit allowed origins
-- API calls \u2192 HTTPS only
-- Sensitive data \u2192 never in logs
-- User input \u2192 validate and sanitize before processing
-- Auth tokens \u2192 short-lived with refresh rotation
-
-## Never
-- Change framework or architecture
-- Use raw SQL string concatenation
-- Use wildcard (*) CORS in production
-- Store secrets in source code or config files
-- Leave empty catch blocks
-- Mix package managers
-- Add packages without checking compatibility
-- Expose stack traces in production error responses
-
-## Architecture
-- Dependencies flow inward: Controller \u2192 Service \u2192 Repository
-- Single responsibility per file (max 300 lines)
-- Feature-based or module-based organization preferred
-
-## Reference
-- Full skill: ~/.kilocode/skills/skill-backend-mt/
-- Patterns from 30+ production repos (200k+ GitHub stars)
-`,
-  },
-
-  kiro: {
-    name: 'Kiro',
-    file: 'backend-rules.md',
-    dir:  '.kiro/steering',
-    generate: (p) => `---
-inclusion: always
----
-
-# ${p.framework} Project \u2014 Backend Rules
-# Generated by @buivietphi/skill-backend-mt
-
-## Project
-- Framework: ${p.framework}
-- Language: ${p.language}
-- ORM: ${p.orm}
-- API Style: ${p.apiStyle}
-- Package Manager: ${p.pkgMgr}
-
-## Code Style
-- Controller \u2192 Service \u2192 Repository layered architecture
-- camelCase for functions, variables, methods
-- PascalCase for classes, interfaces, types
-- Absolute imports with @/ alias (if configured)
-
-## Auto-Check (before every completion)
-- No console.log / print in production code
-- No hardcoded secrets or API keys
-- All async wrapped in try/catch
-- No raw SQL string concatenation \u2014 use parameterized queries
-- All user input validated and sanitized
-- Auth middleware on protected routes
-- No N+1 query patterns \u2014 use eager loading / joins
-- All endpoints return consistent response format
-- Error responses never leak internal details
-
-## Performance
-- Caching strategy for frequently accessed data (Redis / in-memory)
-- Connection pooling for database connections
-- Pagination for all list endpoints
-- No blocking operations on the main event loop
-
-## Security (non-negotiable)
-- Secrets \u2192 environment variables (.env) \u2014 never in code
-- Database queries \u2192 parameterized / prepared statements only
-- CORS \u2192 configured with explicit allowed origins
-- API calls \u2192 HTTPS only
-- Sensitive data \u2192 never in logs
-- User input \u2192 validate and sanitize before processing
-- Auth tokens \u2192 short-lived with refresh rotation
-
-## Never
-- Change framework or architecture
-- Use raw SQL string concatenation
-- Use wildcard (*) CORS in production
-- Store secrets in source code or config files
-- Leave empty catch blocks
-- Mix package managers
-- Add packages without checking compatibility
-- Expose stack traces in production error responses
-
-## Architecture
-- Dependencies flow inward: Controller \u2192 Service \u2192 Repository
-- Single responsibility per file (max 300 lines)
-- Feature-based or module-based organization preferred
-
-## Reference
-- Patterns from 30+ production repos (200k+ GitHub stars)
-`,
-  },
-
-  windsurf: {
-    name: 'Windsurf',
-    file: '.windsurfrules',
-    dir:  '.',
-    generate: (p) => `# ${p.framework} Project \u2014 Windsurf Rules
-# Generated by @buivietphi/skill-backend-mt
-
-Project: ${p.framework}
-Language: ${p.language}
-ORM: ${p.orm}
-API style: ${p.apiStyle}
-Package manager: ${p.pkgMgr}
-
-## Coding Rules
-
-Always:
-- Wrap all async operations in try/catch
-- Validate and sanitize all user input
-- Use parameterized queries \u2014 never raw SQL concatenation
-- Auth middleware on all protected routes
-- No N+1 queries \u2014 use eager loading / joins
-- Pagination on all list endpoints
-- Use PascalCase for classes, interfaces, types
-- Use camelCase for functions, methods, variables
-- Consistent error response format
-- Caching for frequently accessed data
-- Connection pooling for database connections
-
-Never:
-- Leave console.log / print in production code
-- Hardcode secrets, tokens, or API keys
-- Store secrets in source code or config files
-- Use raw SQL string concatenation
-- Use wildcard (*) CORS in production
-- Change the framework or architecture
-- Add packages without verifying compatibility
-- Mix package managers
-- Leave empty catch blocks
-- Expose stack traces in production error responses
-
-## Security (non-negotiable)
-- Secrets \u2192 environment variables (.env) only
-- Queries \u2192 parameterized / prepared statements
-- CORS \u2192 explicit allowed origins (no wildcard in production)
-- API calls \u2192 HTTPS only
-- Sensitive data \u2192 never in logs
-- User input \u2192 validate and sanitize before processing
-- Auth tokens \u2192 short-lived with refresh rotation
-
-## Architecture
-- Clean Architecture: Controller \u2192 Service \u2192 Repository
-- Single responsibility per file (max 300 lines)
-- Feature-based or module-based organization preferred
-
-## Reference
-Full skill: ~/.windsurf/skills/skill-backend-mt/
-Patterns from 30+ production repos (200k+ GitHub stars)
-`,
-  },
-};
-
-// Agents that need project-level files (don't just read from skills dir)
-const NEEDS_PROJECT_FILE = new Set(['cursor', 'copilot', 'windsurf', 'cline', 'roocode', 'kilocode', 'kiro']);
-
-function initProjectFiles(dir, agents) {
-  const project = detectProject(dir);
-  let created = 0;
-
-  for (const key of agents) {
-    const agent = PROJECT_AGENTS[key];
-    if (!agent) continue;
-
-    const targetDir = join(dir, agent.dir);
-    const targetFile = join(targetDir, agent.file);
-
-    if (existsSync(targetFile)) {
-      info(`${c.yellow}${agent.file}${c.reset} already exists \u2014 skipped (won't overwrite)`);
-      continue;
-    }
+// --- Checkbox UI -----------------------------------------------------------------
 
-    mkdirSync(targetDir, { recursive: true });
-    writeFileSync(targetFile, agent.generate(project), 'utf-8');
-    ok(`${c.bold}${join(agent.dir, agent.file)}${c.reset} \u2192 ${agent.name} ${c.dim}(auto-detected: ${project.framework})${c.reset}`);
-    created++;
+async function selectAgents(detected, title = 'Select agents to install:') {
+  if (!process.stdin.isTTY) {
+    return detected.length ? detected : ['claude'];
   }
 
-  return created;
-}
-
-async function selectProjectAgents() {
-  if (!process.stdin.isTTY) return Object.keys(PROJECT_AGENTS);
-
-  const keys    = Object.keys(PROJECT_AGENTS);
-  const selected = new Set(keys); // all selected by default
+  const keys    = Object.keys(AGENTS);
+  const selected = new Set(detected); // pre-tick detected agents
   let cursor    = 0;
 
   const UP       = '\x1b[A';
@@ -834,25 +91,29 @@ async function selectProjectAgents() {
   const HIDE_CUR = '\x1b[?25l';
   const SHOW_CUR = '\x1b[?25h';
   const moveUp   = n => `\x1b[${n}A`;
+
+  // header = 3 lines (title + hint + blank), items = keys.length
   const TOTAL_LINES = 3 + keys.length;
 
   function render(first) {
     if (!first) process.stdout.write(moveUp(TOTAL_LINES) + ERASE_DN);
-    process.stdout.write(`\n${c.bold}  Select project-level files to generate:${c.reset}\n`);
+
+    process.stdout.write(`\n${c.bold}  ${title}${c.reset}\n`);
     process.stdout.write(`  ${c.dim}\u2191\u2193 navigate   Space toggle   A select all   Enter confirm   Q cancel${c.reset}\n`);
 
     for (let i = 0; i < keys.length; i++) {
       const k     = keys[i];
-      const agent = PROJECT_AGENTS[k];
+      const agent = AGENTS[k];
       const isCur = i === cursor;
       const isSel = selected.has(k);
+      const isDet = detected.includes(k);
 
       const ptr   = isCur ? `${c.cyan}\u203A${c.reset}` : ' ';
       const box   = isSel ? `${c.green}\u25C9${c.reset}` : `${c.dim}\u25EF${c.reset}`;
       const name  = isCur ? `${c.bold}${c.cyan}${agent.name}${c.reset}` : agent.name;
-      const file  = `${c.dim}\u2192 ${join(agent.dir, agent.file)}${c.reset}`;
+      const badge = isDet ? ` ${c.green}[detected]${c.reset}` : `${c.dim} [not found]${c.reset}`;
 
-      process.stdout.write(`  ${ptr} ${box} ${name.padEnd(20)}${file}\n`);
+      process.stdout.write(`  ${ptr} ${box} ${name.padEnd(14)}${badge}\n`);
     }
   }
 
@@ -873,9 +134,9 @@ async function selectProjectAgents() {
         resolve(result);
       };
 
-      if (key === '\x03') { done(null); process.exit(0); }
-      if (key === 'q' || key === 'Q' || key === '\x1b') { done([]); return; }
-      if (key === '\r' || key === '\n') { done([...selected]); return; }
+      if (key === '\x03') { done(null); process.exit(0); }      // Ctrl+C
+      if (key === 'q' || key === 'Q' || key === '\x1b') { done([]); return; } // quit
+      if (key === '\r' || key === '\n') { done([...selected]); return; }      // Enter
 
       if (key === UP)    cursor = (cursor - 1 + keys.length) % keys.length;
       else if (key === DOWN) cursor = (cursor + 1) % keys.length;
@@ -894,145 +155,421 @@ async function selectProjectAgents() {
   });
 }
 
-// --- Checkbox UI -----------------------------------------------------------------
+// --- Main ------------------------------------------------------------------------
 
-async function selectAgents(detected) {
-  if (!process.stdin.isTTY) {
-    return detected.length ? detected : ['claude'];
+// Agents named after --init (`all`, one key, or none → interactive picker)
+async function resolveInitTargets(args, title) {
+  const initArg = args[args.indexOf('--init') + 1];
+
+  if (initArg === 'all') return Object.keys(PROJECT_AGENTS);
+  if (initArg && PROJECT_AGENTS[initArg]) return [initArg];
+  if (initArg && !initArg.startsWith('-')) {
+    fail(`Unknown agent: ${initArg}. Available: ${Object.keys(PROJECT_AGENTS).join(', ')}, all`);
+    process.exit(1);
   }
 
-  const keys    = Object.keys(AGENTS);
-  const selected = new Set(detected); // pre-tick detected agents
-  let cursor    = 0;
+  const team = teamConfig(process.cwd());
+  if (team?.init?.length) {
+    info(`Files from ${team.source}: ${team.init.join(', ')}`);
+    return team.init;
+  }
 
-  const UP       = '\x1b[A';
-  const DOWN     = '\x1b[B';
-  const ERASE_DN = '\x1b[J';
-  const HIDE_CUR = '\x1b[?25l';
-  const SHOW_CUR = '\x1b[?25h';
-  const moveUp   = n => `\x1b[${n}A`;
+  // Interactive selection
+  return (await selectProjectAgents(title)) || [];
+}
 
-  // header = 3 lines (title + hint + blank), items = keys.length
-  const TOTAL_LINES = 3 + keys.length;
+// --layout root|packages (monorepos only)
+function initLayout(args, flags) {
+  if (!flags.has('layout')) return 'root';
+  const layout = args[args.indexOf('--layout') + 1];
+  if (!LAYOUTS.includes(layout)) {
+    fail(`--layout needs one of: ${LAYOUTS.join(', ')}`);
+    process.exit(1);
+  }
+  return layout;
+}
 
-  function render(first) {
-    if (!first) process.stdout.write(moveUp(TOTAL_LINES) + ERASE_DN);
+// --template FILE — a team's own rules template instead of the shipped one
+function initTemplate(args, flags) {
+  if (!flags.has('template')) return undefined;
+  const p = args[args.indexOf('--template') + 1];
+  if (!p || p.startsWith('-')) { fail('--template needs a file'); process.exit(1); }
+  if (!existsSync(resolve(p))) { fail(`Template not found: ${p}`); process.exit(1); }
+  return loadTemplate(resolve(p));
+}
 
-    process.stdout.write(`\n${c.bold}  Select agents to install:${c.reset}\n`);
-    process.stdout.write(`  ${c.dim}\u2191\u2193 navigate   Space toggle   A select all   Enter confirm   Q cancel${c.reset}\n`);
+// --budget N — token ceiling per rules file (agents with small rule windows)
+function initBudget(args, flags) {
+  if (!flags.has('budget')) return undefined;
+  const n = Number(args[args.indexOf('--budget') + 1]);
+  if (!Number.isInteger(n) || n <= 0) { fail('--budget needs a positive number of tokens'); process.exit(1); }
+  return n;
+}
 
-    for (let i = 0; i < keys.length; i++) {
-      const k     = keys[i];
-      const agent = AGENTS[k];
-      const isCur = i === cursor;
-      const isSel = selected.has(k);
-      const isDet = detected.includes(k);
+// --keep-backups N, else the team config's backups.keep, else the default (none for --project)
+function keepBackups(args, flags) {
+  if (!flags.has('keep-backups')) return teamConfig(process.cwd())?.backups?.keep ?? (ctx().projectRoot ? 0 : ctx().backupsKept);
+  const n = Number(args[args.indexOf('--keep-backups') + 1]);
+  if (!Number.isInteger(n) || n < 0) { fail('--keep-backups needs a number of backups (0 turns them off)'); process.exit(1); }
+  return n;
+}
 
-      const ptr   = isCur ? `${c.cyan}\u203A${c.reset}` : ' ';
-      const box   = isSel ? `${c.green}\u25C9${c.reset}` : `${c.dim}\u25EF${c.reset}`;
-      const name  = isCur ? `${c.bold}${c.cyan}${agent.name}${c.reset}` : agent.name;
-      const badge = isDet ? ` ${c.green}[detected]${c.reset}` : `${c.dim} [not found]${c.reset}`;
+// --tolerance <percent> for --verify (default 10)
+function verifyTolerance(args, flags) {
+  if (!flags.has('tolerance')) return 0.1;
+  const pct = Number(args[args.indexOf('--tolerance') + 1]);
+  if (!Number.isFinite(pct) || pct < 0) { fail('--tolerance needs a percentage, e.g. --tolerance 15'); process.exit(1); }
+  return pct / 100;
+}
 
-      process.stdout.write(`  ${ptr} ${box} ${name.padEnd(14)}${badge}\n`);
+// Every value after a --pack flag (repeatable)
+function packArgs(args) {
+  const values = args.flatMap((a, i) => (a === '--pack' ? [args[i + 1]] : []));
+  if (values.some(v => !v || v.startsWith('-'))) { fail('--pack needs a folder with a pack.json'); process.exit(1); }
+  return values;
+}
+
+// --only LIST / --slim (detect the cwd project). undefined when neither is given.
+function stackSelection(args, flags) {
+  if (flags.has('only')) return resolveOnly(args[args.indexOf('--only') + 1]);
+  if (!flags.has('slim')) return undefined;
+  const files = slimFiles(process.cwd());
+  if (!files.length) { warn('--slim: no framework detected here \u2014 installing every framework file'); return null; }
+  info(`Slim install: ${files.map(stackName).join(', ')} ${c.dim}(detected in ${process.cwd()})${c.reset}`);
+  return files;
+}
+
+async function runUninstall(args, flags) {
+  // --- --uninstall --init: remove generated project-level files ----------------
+  if (flags.has('init')) {
+    const cwd = process.cwd();
+    log(`${c.bold}  \uD83D\uDCC1 Project directory:${c.reset} ${c.dim}${cwd}${c.reset}`);
+
+    const targets = await resolveInitTargets(args, 'Select project-level files to remove:');
+    if (!targets.length) { info('Cancelled.'); return; }
+
+    log(`\n${c.bold}  Removing project-level rules...${c.reset}\n`);
+    const n = removeProjectFiles(cwd, targets);
+    if (n > 0) log(`\n${c.green}${c.bold}  \u2705 Done!${c.reset} \u2192 ${n} file(s) removed\n`);
+    else info('No generated files found.\n');
+    return;
+  }
+
+  // --- --uninstall --pack: drop rule packs, keep the skill -----------------------
+  if (flags.has('pack')) {
+    const names = packArgs(args).map(v => (existsSync(join(resolve(v), PACK_MANIFEST)) ? loadPack(v).name : v));
+    let targets;
+    if (flags.has('path')) {
+      targets = [{ name: 'Custom', dir: resolve(args[args.indexOf('--path') + 1]) }];
+    } else {
+      const keys = flags.has('all') ? Object.keys(AGENTS) : Object.keys(AGENTS).filter(k => flags.has(k));
+      targets = (keys.length ? keys : Object.keys(AGENTS)).map(k => AGENTS[k]);
     }
+    targets = targets.filter(t => readManifest(join(t.dir, SKILL_NAME))?.packs?.some(p => names.includes(p.name)));
+    if (!targets.length) { info(`Pack ${names.join(', ')} is not installed for any agent.`); return; }
+
+    log(`\n${c.bold}  Removing pack ${names.join(', ')}...${c.reset}\n`);
+    for (const t of targets) await update(t.dir, t.name, async () => 'keep', { dropPacks: names });
+    log(`\n${c.green}${c.bold}  \u2705 Done!${c.reset} \u2192 ${targets.length} agent(s)\n`);
+    return;
   }
 
-  process.stdout.write(HIDE_CUR);
-  render(true);
+  if (flags.has('path')) {
+    const p = args[args.indexOf('--path') + 1];
+    if (!p) { fail('--path needs a directory'); process.exit(1); }
+    uninstall(resolve(p), 'Custom');
+    log(`\n${c.green}${c.bold}  \u2705 Done!${c.reset}\n`);
+    return;
+  }
 
-  return new Promise(resolve => {
-    process.stdin.setRawMode(true);
-    process.stdin.resume();
-    process.stdin.setEncoding('utf8');
+  const installed = Object.keys(AGENTS).filter(k => existsSync(join(AGENTS[k].dir, SKILL_NAME)));
+  let targets = [];
 
-    const onKey = key => {
-      const done = result => {
-        process.stdin.setRawMode(false);
-        process.stdin.pause();
-        process.stdin.off('data', onKey);
-        process.stdout.write(SHOW_CUR + '\n');
-        resolve(result);
-      };
+  if (flags.has('all')) {
+    targets = Object.keys(AGENTS);
+  } else {
+    for (const k of Object.keys(AGENTS)) if (flags.has(k)) targets.push(k);
+  }
 
-      if (key === '\x03') { done(null); process.exit(0); }      // Ctrl+C
-      if (key === 'q' || key === 'Q' || key === '\x1b') { done([]); return; } // quit
-      if (key === '\r' || key === '\n') { done([...selected]); return; }      // Enter
+  // Interactive checkbox when no flag given — pre-tick agents that have the skill
+  if (!targets.length) {
+    if (!installed.length) { info(`${SKILL_NAME} is not installed for any agent.`); return; }
+    // Without a terminal the checkbox would pick every installed agent
+    if (!process.stdin.isTTY) {
+      fail(`--uninstall needs --all or agent flags without a terminal (installed: ${installed.map(k => `--${k}`).join(' ')})`);
+      process.exit(1);
+    }
+    const chosen = await selectAgents(installed, 'Select agents to uninstall from:');
+    if (!chosen || chosen.length === 0) { info('Cancelled.'); return; }
+    targets = chosen;
+  }
 
-      if (key === UP)    cursor = (cursor - 1 + keys.length) % keys.length;
-      else if (key === DOWN) cursor = (cursor + 1) % keys.length;
-      else if (key === ' ') {
-        if (selected.has(keys[cursor])) selected.delete(keys[cursor]);
-        else selected.add(keys[cursor]);
-      } else if (key === 'a' || key === 'A') {
-        if (selected.size === keys.length) selected.clear();
-        else keys.forEach(k => selected.add(k));
-      }
+  log(`\n${c.bold}  Uninstalling...${c.reset}\n`);
+  let n = 0;
+  for (const k of targets) n += uninstall(AGENTS[k].dir, AGENTS[k].name);
+  if (ctx().projectRoot) writeLock(ctx().projectRoot, { remove: targets });
 
-      render(false);
-    };
+  log(`\n${c.green}${c.bold}  \u2705 Done!${c.reset} \u2192 ${n} file(s) removed\n`);
+}
 
-    process.stdin.on('data', onKey);
-  });
+// --- Postinstall (--auto) ----------------------------------------------------------
+// package.json runs --auto as postinstall. It only installs when someone added the
+// package themselves (a direct dependency or a global install) on a developer machine,
+// prints one line instead of the banner, and never fails the host install.
+
+const truthy = v => !!v && !['0', 'false'].includes(String(v).toLowerCase());
+
+// Why --auto should do nothing, or null
+function autoSkipReason(env = process.env) {
+  if (truthy(env.SKILL_BACKEND_SKIP_POSTINSTALL)) return 'SKILL_BACKEND_SKIP_POSTINSTALL is set';
+  if (truthy(env.CI)) return 'CI is set';
+  if (env.npm_lifecycle_event !== 'postinstall') return null; // run by hand
+  if (truthy(env.npm_config_global)) return null;
+  if (!env.INIT_CWD) return 'not a top-level install';
+  const root = resolve(env.INIT_CWD);
+  if (root === PKG_ROOT) return 'installing the package\'s own dependencies';
+  const pkg = readJsonc(join(root, 'package.json')) || {};
+  const direct = ['dependencies', 'devDependencies', 'optionalDependencies'].some(k => pkg[k]?.[PKG_NAME]);
+  return direct ? null : 'not a top-level install';
 }
 
-// --- Main ------------------------------------------------------------------------
+// The one line --auto prints (stdout even though everything else is quiet)
+const autoLine = m => process.stdout.write(`${c.bold}${SKILL_NAME}${c.reset}: ${m}\n`);
+
+// --rollback [version]: restore a backup for the selected agents, else every agent that has one
+async function runRollback(args, flags) {
+  const next = args[args.indexOf('--rollback') + 1];
+  const version = next && !next.startsWith('-') ? next.replace(/^v/, '') : undefined;
+
+  let targets;
+  if (flags.has('path')) {
+    const p = args[args.indexOf('--path') + 1];
+    if (!p) { fail('--path needs a directory'); process.exit(1); }
+    targets = [{ name: 'Custom', dir: resolve(p) }];
+  } else {
+    const keys = flags.has('all') ? Object.keys(AGENTS) : Object.keys(AGENTS).filter(k => flags.has(k));
+    targets = (keys.length ? keys : Object.keys(AGENTS).filter(k => listBackups(AGENTS[k].dir).length)).map(k => AGENTS[k]);
+  }
+  if (!targets.length) { info(`No ${SKILL_NAME} backups found. Installs and updates make one (${BACKUPS}/).`); return; }
+
+  log(`${c.bold}  Rolling back${version ? ` to v${version}` : ''}...${c.reset}\n`);
+  const restored = targets.map(t => ({ t, version: rollback(t.dir, t.name, version) })).filter(r => r.version);
+  if (!restored.length) { log(''); process.exit(1); }
+
+  const versions = [...new Set(restored.map(r => r.version))];
+  if (ctx().projectRoot && versions.length === 1) {
+    writeLock(ctx().projectRoot, { add: Object.keys(AGENTS).filter(k => restored.some(r => r.t === AGENTS[k])), version: versions[0] });
+  }
+  log(`\n${c.green}${c.bold}  \u2705 Done!${c.reset} \u2192 ${restored.length} agent(s) restored ${c.dim}(--update returns to v${PKG_VERSION})${c.reset}\n`);
+}
 
 async function main() {
+  const run   = ctx(); // this CLI run's settings, filled in from the flags below
   const args  = process.argv.slice(2);
   const flags = new Set(args.map(a => a.replace(/^--?/, '')));
 
-  banner();
+  // --auto: postinstall hook — skip when it isn't wanted, otherwise one summary line
+  const auto = flags.has('auto');
+  if (auto) {
+    const skip = autoSkipReason();
+    if (skip) { autoLine(`skipped (${skip}) \u2014 run ${c.cyan}npx ${PKG_NAME} --auto${c.reset} to install`); return; }
+  }
+
+  // --json: only machine-readable output on stdout (errors go to stderr)
+  const json = flags.has('json');
+  if (json || auto) {
+    run.quiet = true;
+    run.recorder = { effects: [], warnings: [] };
+  } else {
+    banner();
+  }
+  // Modes without a JSON result would print nothing and exit 0 — refuse them
+  const noJson = ['status', 'doctor', 'update', 'rollback', 'uninstall', 'humanizer'].find(m => flags.has(m));
+  if (json && noJson) throw new Error(`--json does not work with --${noJson} (only install, --init, --detect, --context and --verify)`);
+
+  if (flags.has('project')) {
+    // The repo that already has a lockfile, else the cwd
+    run.projectRoot = dirname(findLockfile() || join(process.cwd(), LOCKFILE));
+    log(`${c.bold}  \uD83D\uDCC1 Project install:${c.reset} ${c.dim}${run.projectRoot} (${LOCKFILE})${c.reset}\n`);
+  }
+
+  if (flags.has('dry-run')) {
+    run.dryRun = true;
+    log(`  ${c.yellow}${c.bold}Dry run${c.reset} \u2014 nothing will be written\n`);
+  }
+  // Only modes that back up read backups.keep — a broken team config must not stop --verify or --uninstall
+  const readOnly = ['context', 'verify', 'detect', 'uninstall', 'init'].some(m => flags.has(m))
+    || ((flags.has('status') || flags.has('doctor')) && !flags.has('fix'));
+  if (!readOnly) run.backupsKept = keepBackups(args, flags);
+
+  // --- --context: what the agent really loads for this project -------------------
+  if (flags.has('context')) {
+    const report = smartLoadSet(process.cwd());
+    if (json) printJson(report);
+    else showContextReport(report);
+    return;
+  }
+
+  // --- --verify: lint SKILL.md's routing tables against the content --------------
+  if (flags.has('verify')) {
+    const tolerance = verifyTolerance(args, flags);
+    const report = verifySkill({ tolerance });
+    if (json) printJson(report);
+    else showVerifyReport(report, tolerance);
+    if (!report.ok) process.exit(1);
+    return;
+  }
+
+  // --- --detect: the stack --init sees in the current directory ------------------
+  if (flags.has('detect')) {
+    const detection = detect(process.cwd());
+    if (json) printJson(detection);
+    else showDetection(detection, true);
+    return;
+  }
+
+  // --- --status / doctor: compare installs with the package ----------------------
+  if (flags.has('status') || flags.has('doctor')) {
+    let targets;
+    if (flags.has('path')) {
+      const p = args[args.indexOf('--path') + 1];
+      if (!p) { fail('--path needs a directory'); process.exit(1); }
+      targets = [{ name: 'Custom', dir: resolve(p) }];
+    } else {
+      const keys = Object.keys(AGENTS).filter(k => flags.has(k));
+      targets = (keys.length ? keys : Object.keys(AGENTS)).map(k => AGENTS[k]);
+    }
+    runStatus(targets, flags.has('fix'));
+    return;
+  }
+
+  // --- --update: refresh installs, keep local edits --------------------------------
+  if (flags.has('update')) {
+    let onConflict = null;
+    if (flags.has('on-conflict')) {
+      onConflict = args[args.indexOf('--on-conflict') + 1];
+      if (!CONFLICT_CHOICES.includes(onConflict)) {
+        fail(`--on-conflict needs one of: ${CONFLICT_CHOICES.join(', ')}`);
+        process.exit(1);
+      }
+    }
+    const resolveConflict = onConflict ? async () => onConflict : askConflict;
+
+    let targets;
+    if (flags.has('path')) {
+      const p = args[args.indexOf('--path') + 1];
+      if (!p) { fail('--path needs a directory'); process.exit(1); }
+      targets = [{ name: 'Custom', dir: resolve(p) }];
+    } else {
+      const keys = flags.has('all') ? Object.keys(AGENTS) : Object.keys(AGENTS).filter(k => flags.has(k));
+      // No agent flag: update every agent that already has the skill
+      targets = (keys.length ? keys : Object.keys(AGENTS).filter(k => existsSync(join(AGENTS[k].dir, SKILL_NAME))))
+        .map(k => AGENTS[k]);
+    }
+    if (!targets.length) { info(`${SKILL_NAME} is not installed for any agent. Run without --update to install.`); return; }
+
+    log(`${c.bold}  Updating to v${PKG_VERSION}...${c.reset}\n`);
+    const only = stackSelection(args, flags);
+    const addPacks = packArgs(args).map(loadPack);
+    for (const t of targets) await update(t.dir, t.name, resolveConflict, { only, addPacks });
+    if (run.projectRoot) writeLock(run.projectRoot, { add: Object.keys(AGENTS).filter(k => targets.includes(AGENTS[k])), only });
+    log(`\n${c.green}${c.bold}  \u2705 Done!${c.reset} \u2192 ${targets.length} agent(s)\n`);
+    warnCopyDrift();
+    return;
+  }
+
+  // --- --rollback mode: restore a backup -------------------------------------------
+  if (flags.has('rollback')) {
+    await runRollback(args, flags);
+    return;
+  }
+
+  // --- --uninstall mode: remove what the installer wrote -------------------------
+  if (flags.has('uninstall')) {
+    await runUninstall(args, flags);
+    return;
+  }
+
+  // --- --init --check: fail when committed rules drifted from the project --------
+  if (flags.has('init') && flags.has('check')) {
+    const cwd = process.cwd();
+    const initArg = args[args.indexOf('--init') + 1];
+    let keys = Object.keys(PROJECT_AGENTS);
+    if (initArg && !initArg.startsWith('-') && initArg !== 'all') {
+      if (!PROJECT_AGENTS[initArg]) {
+        fail(`Unknown agent: ${initArg}. Available: ${Object.keys(PROJECT_AGENTS).join(', ')}, all`);
+        process.exit(1);
+      }
+      keys = [initArg];
+    }
+    const explicit = keys.length === 1 || initArg === 'all';
+    const result = checkProjectFiles(cwd, keys, { requireAll: explicit, layout: initLayout(args, flags), template: initTemplate(args, flags), budget: initBudget(args, flags) });
+
+    if (json) {
+      printJson(result);
+    } else {
+      log(`${c.bold}  \uD83D\uDD0D Checking rules against:${c.reset} ${c.cyan}${result.project.framework}${c.reset} (${result.project.language})\n`);
+      for (const f of result.files) {
+        if (f.status === 'up-to-date') ok(`${f.file} ${c.dim}up to date${c.reset}`);
+        else if (f.status === 'missing') (f.ok ? info : fail)(`${f.file} ${c.dim}missing${c.reset}`);
+        else {
+          fail(`${f.file} ${c.dim}${f.status === 'unmanaged' ? 'has no managed block' : 'out of date'}${c.reset}`);
+          printDiff(f.diff);
+        }
+      }
+      if (result.ok) log(`\n${c.green}${c.bold}  \u2705 Rules are up to date${c.reset}\n`);
+      else log(`\n  ${c.red}${c.bold}Rules are out of date.${c.reset} Run ${c.cyan}npx @buivietphi/skill-backend-mt --init --refresh${c.reset}\n`);
+    }
+    if (!result.ok) process.exitCode = 1;
+    return;
+  }
 
   // --- --init mode: generate project-level files ---------------------------------
   if (flags.has('init')) {
     const cwd = process.cwd();
+    const layout = initLayout(args, flags);
+    const template = initTemplate(args, flags);
+    const budget = initBudget(args, flags);
     log(`${c.bold}  \uD83D\uDCC1 Project directory:${c.reset} ${c.dim}${cwd}${c.reset}`);
 
-    const project = detectProject(cwd);
-    log(`${c.bold}  \uD83D\uDD0D Detected:${c.reset} ${c.cyan}${project.framework}${c.reset} (${project.language})\n`);
+    const detection = detect(cwd);
+    const { project } = detection;
+    showDetection(detection);
 
     // Determine which agents to init
-    let initTargets = [];
-    const initIdx = args.indexOf('--init');
-    const initArg = args[initIdx + 1];
-
-    if (initArg === 'all') {
-      initTargets = Object.keys(PROJECT_AGENTS);
-    } else if (initArg && PROJECT_AGENTS[initArg]) {
-      initTargets = [initArg];
-    } else if (initArg && !initArg.startsWith('-')) {
-      fail(`Unknown agent: ${initArg}. Available: ${Object.keys(PROJECT_AGENTS).join(', ')}, all`);
-      process.exit(1);
-    } else {
-      // Interactive selection
-      const chosen = await selectProjectAgents();
-      if (!chosen || chosen.length === 0) { info('Cancelled.'); return; }
-      initTargets = chosen;
+    const initArg = args[args.indexOf('--init') + 1];
+    if (json && (!initArg || initArg.startsWith('-')) && !teamConfig(cwd)?.init?.length) {
+      throw new Error('--init --json needs an agent or all, e.g. --init all --json');
     }
+    const initTargets = await resolveInitTargets(args);
+    if (!initTargets.length) { info('Cancelled.'); return; }
 
     log(`\n${c.bold}  Generating project-level rules...${c.reset}\n`);
-    const n = initProjectFiles(cwd, initTargets);
+    const files = initProjectFiles(cwd, initTargets, { refresh: flags.has('refresh'), layout, template, budget });
+    if (json) {
+      printJson({ ...detection, dryRun: run.dryRun, files, ...run.recorder });
+      return;
+    }
+    const written = files.filter(isWritten);
 
-    if (n > 0) {
-      log(`\n${c.green}${c.bold}  \u2705 Done!${c.reset} \u2192 ${n} file(s) generated\n`);
+    if (written.length > 0) {
+      log(`\n${c.green}${c.bold}  \u2705 Done!${c.reset} \u2192 ${written.length} file(s) generated\n`);
       log(`  ${c.bold}Generated files:${c.reset}`);
-      for (const k of initTargets) {
-        const agent = PROJECT_AGENTS[k];
-        if (agent) {
-          const fp = join(agent.dir, agent.file);
-          log(`    ${c.green}\u25CF${c.reset} ${agent.name.padEnd(18)} ${c.dim}${fp}${c.reset}`);
-        }
+      for (const w of written) {
+        log(`    ${c.green}\u25CF${c.reset} ${w.name.padEnd(18)} ${c.dim}${w.file}${c.reset}`);
       }
       log(`\n  ${c.dim}Files are auto-detected for ${project.framework}.`);
-      log(`  Edit the generated files to customize for your project.${c.reset}\n`);
+      log(`  Add your own sections outside the skill-backend-mt markers \u2014 --refresh keeps them.${c.reset}\n`);
     } else {
-      info('No files generated (all already exist).\n');
+      info(`No files generated (all already exist${flags.has('refresh') ? ' and are up to date' : ' \u2014 use --refresh to update them'}).\n`);
     }
     return;
   }
 
   // --- Normal install mode -------------------------------------------------------
   showContext();
+  const only = stackSelection(args, flags) || null;
+  const addPacks = packArgs(args).map(loadPack);
 
   let targets = [];
 
@@ -1047,12 +584,7 @@ async function main() {
     if (!existsSync(src)) { fail('humanizer/humanizer-backend.md not found'); process.exit(1); }
     const detected = Object.keys(AGENTS).filter(k => AGENTS[k].detect());
     const agentKeys = detected.length ? detected : ['claude'];
-    for (const k of agentKeys) {
-      const dst = join(AGENTS[k].dir, 'humanizer-backend');
-      mkdirSync(dst, { recursive: true });
-      cpSync(src, join(dst, 'humanizer-backend.md'), { force: true });
-      ok(`${c.bold}humanizer-backend/${c.reset} \u2192 ${AGENTS[k].name} ${c.dim}(${dst})${c.reset}`);
-    }
+    for (const k of agentKeys) installHumanizer(AGENTS[k].dir, AGENTS[k].name);
     log(`\n${c.green}${c.bold}  \u2705 Done!${c.reset}\n`);
     log(`  ${c.bold}Usage:${c.reset}`);
     log(`    ${c.cyan}@humanizer-backend${c.reset}  Humanize API docs, changelog, error messages\n`);
@@ -1060,15 +592,22 @@ async function main() {
   } else if (flags.has('path')) {
     const p = args[args.indexOf('--path') + 1];
     if (!p) { fail('--path needs a directory'); process.exit(1); }
-    install(resolve(p), 'Custom');
+    const result = installTarget('custom', 'Custom', resolve(p), only, addPacks);
+    if (json) { printJson({ version: PKG_VERSION, dryRun: run.dryRun, installed: [result], ...run.recorder }); return; }
     log(`\n${c.green}${c.bold}  \u2705 Done!${c.reset}\n`);
     return;
   } else {
     for (const k of Object.keys(AGENTS)) if (flags.has(k)) targets.push(k);
   }
 
-  // Interactive checkbox when no flag given
+  // No flag: the team config's agents, else the interactive checkbox
+  const team = teamConfig(process.cwd());
+  if (!targets.length && team?.agents?.length) {
+    info(`Agents from ${team.source}: ${team.agents.join(', ')}`);
+    targets = team.agents;
+  }
   if (!targets.length) {
+    if (json) throw new Error('--json needs agents: --all, --auto, --path DIR or --claude, --codex, ...');
     const detected = Object.keys(AGENTS).filter(k => AGENTS[k].detect());
     const chosen   = await selectAgents(detected);
 
@@ -1080,7 +619,14 @@ async function main() {
   }
 
   log(`\n${c.bold}  Installing...${c.reset}\n`);
-  for (const k of targets) install(AGENTS[k].dir, AGENTS[k].name);
+  const installed = targets.map(k => installTarget(k, AGENTS[k].name, AGENTS[k].dir, only, addPacks));
+  if (run.projectRoot) writeLock(run.projectRoot, { add: targets, only });
+  if (json) { printJson({ version: PKG_VERSION, dryRun: run.dryRun, installed, ...run.recorder }); return; }
+  if (auto) {
+    const warnings = run.recorder.warnings.length ? `, ${run.recorder.warnings.length} warning(s)` : '';
+    autoLine(`${run.dryRun ? 'would install' : 'installed'} v${PKG_VERSION} for ${installed.map(t => t.name).join(', ')}${warnings} ${c.dim}(--status for details)${c.reset}`);
+    return;
+  }
 
   log(`\n${c.green}${c.bold}  \u2705 Done!${c.reset} \u2192 ${targets.length} agent(s)\n`);
   log(`  ${c.bold}Usage:${c.reset}`);
@@ -1106,6 +652,13 @@ async function main() {
   } else {
     log('');
   }
+  if (run.projectRoot) log(`  ${c.dim}Commit the skill folders and ${LOCKFILE} so the whole team loads v${PKG_VERSION}.${c.reset}`);
+  warnCopyDrift();
 }
 
-main().catch(e => { fail(e.message); process.exit(1); });
+runs.run(newRun(), () => main().catch(e => {
+  // A failed postinstall must not fail the host npm install
+  if (process.argv.includes('--auto')) { autoLine(`not installed \u2014 ${plain(e.message).replace(/\s*\n\s*/g, ' ')}`); return; }
+  fail(e.message);
+  process.exit(1);
+}));
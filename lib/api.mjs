@@ -0,0 +1,83 @@
+/**
+ * @buivietphi/skill-backend-mt programmatic API — the package's main export.
+ *
+ *   import { detectProject, install, initProjectFiles } from '@buivietphi/skill-backend-mt'
+ *
+ * The CLI's logic without its output: options instead of flags, cwd and HOME;
+ * plain objects instead of colored logs. Invalid options throw. Each call runs with
+ * its own settings, so calls never share state with each other or with the CLI.
+ */
+
+import { existsSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { homedir } from 'node:os';
+import {
+  AGENTS, detect, initProjectFiles, installTarget, LAYOUTS, loadPack, loadTemplate,
+  newRun, PKG_VERSION, PROJECT_AGENTS, resolveOnly, runs, slimFiles, teamConfig,
+} from './skill-backend.mjs';
+
+// Run fn in its own run: the API options, quiet output, effects and warnings collected
+function withOptions({ homeDir, dryRun = false, keepBackups }, fn) {
+  const settings = newRun({
+    home: homeDir ? resolve(homeDir) : homedir(),
+    dryRun,
+    quiet: true,
+    record: true,
+    ...(keepBackups !== undefined && { backupsKept: keepBackups }),
+  });
+  return runs.run(settings, () => ({ ...fn(), dryRun, ...settings.recorder }));
+}
+
+const checkKeys = (keys, known, what) => {
+  const unknown = keys.filter(k => !known[k]);
+  if (unknown.length) throw new Error(`Unknown ${what}: ${unknown.join(', ')}. Available: ${Object.keys(known).join(', ')}`);
+};
+
+// → { dir, project, workspaces, team }
+function apiDetectProject({ targetDir = process.cwd() } = {}) {
+  return runs.run(newRun({ quiet: true }), () => detect(resolve(targetDir)));
+}
+
+// agents: AGENTS key or keys (default: every agent found under homeDir, else claude).
+// targetDir: install into that skills folder instead (like --path).
+// only: stack names (--only) or 'slim' to detect them in projectDir (default: cwd).
+// packs: rule pack folders to add (--pack). keepBackups: like --keep-backups (default 3).
+// → { version, installed: [{ agent, name, dir, files }], dryRun, effects, warnings }
+function apiInstall({ agents, targetDir, projectDir = process.cwd(), homeDir, dryRun = false, only, packs = [], keepBackups } = {}) {
+  if (keepBackups !== undefined && !(Number.isInteger(keepBackups) && keepBackups >= 0)) throw new Error('keepBackups must be a whole number, 0 or more');
+  return withOptions({ homeDir, dryRun, keepBackups }, () => {
+    const stacks = only === 'slim' ? slimFiles(resolve(projectDir)) : only ? resolveOnly([].concat(only).join(',')) : [];
+    const selection = stacks.length ? stacks : null;
+    const addPacks = [].concat(packs).map(loadPack);
+    if (targetDir) return { version: PKG_VERSION, installed: [installTarget('custom', 'Custom', resolve(targetDir), selection, addPacks)] };
+
+    let keys = agents ? [].concat(agents) : Object.keys(AGENTS).filter(k => AGENTS[k].detect());
+    if (!keys.length) keys = ['claude'];
+    checkKeys(keys, AGENTS, 'agent');
+    return { version: PKG_VERSION, installed: keys.map(k => installTarget(k, AGENTS[k].name, AGENTS[k].dir, selection, addPacks)) };
+  });
+}
+
+// agents: PROJECT_AGENTS key or keys (default: the team config's init list, else all).
+// template: path to a team template.
+// → { dir, project, workspaces, team, files: [{ agent, name, file, status }], dryRun, effects, warnings }
+function apiInitProjectFiles({ targetDir = process.cwd(), agents, refresh = false, layout = 'root', template, budget, dryRun = false } = {}) {
+  if (!LAYOUTS.includes(layout)) throw new Error(`Unknown layout: ${layout}. Available: ${LAYOUTS.join(', ')}`);
+  if (template && !existsSync(resolve(template))) throw new Error(`Template not found: ${template}`);
+  const dir = resolve(targetDir);
+  return withOptions({ dryRun }, () => {
+    const keys = agents ? [].concat(agents) : teamConfig(dir)?.init || Object.keys(PROJECT_AGENTS);
+    checkKeys(keys, PROJECT_AGENTS, 'agent');
+    return {
+      ...detect(dir),
+      files: initProjectFiles(dir, keys, { refresh, layout, template: template ? loadTemplate(resolve(template)) : undefined, budget }),
+    };
+  });
+}
+
+export {
+  apiDetectProject as detectProject,
+  apiInstall as install,
+  apiInitProjectFiles as initProjectFiles,
+  PKG_VERSION as version,
+};
@@ -0,0 +1,3119 @@
+/**
+ * @buivietphi/skill-backend installer logic — shared by the CLI (bin/install.mjs) and the
+ * programmatic API (lib/api.mjs). Importing it has no side effects: both callers run it
+ * inside their own run settings (runs.run(newRun({...}), fn)).
+ */
+
+import { existsSync, mkdirSync, cpSync, readFileSync, writeFileSync, readdirSync, rmSync, rmdirSync, statSync } from 'node:fs';
+import { join, resolve, dirname, relative, sep } from 'node:path';
+import { homedir } from 'node:os';
+import { fileURLToPath } from 'node:url';
+import { createHash } from 'node:crypto';
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const PKG_ROOT = resolve(__dirname, '..');
+const SKILL_NAME = 'skill-backend-mt';
+const { name: PKG_NAME, version: PKG_VERSION } = JSON.parse(readFileSync(join(PKG_ROOT, 'package.json'), 'utf-8'));
+
+// Written into every installed skill-backend-mt/ — records what install() put there
+const MANIFEST = '.skill-manifest.json';
+
+// Structure: root files + subfolders
+const ROOT_FILES = ['SKILL.md', 'AGENTS.md'];
+
+const SUBFOLDERS = ['nodejs', 'python', 'java', 'php', 'others', 'shared'];
+
+// Read all .md files from a folder dynamically
+function getMdFiles(folder) {
+  const dir = join(PKG_ROOT, folder);
+  if (!existsSync(dir)) return [];
+  return readdirSync(dir).filter(f => f.endsWith('.md'));
+}
+
+// ROOT_FILES / SUBFOLDERS entries missing from the package, warned about once per run
+function warnMissingPackageFiles() {
+  if (ctx().packageChecked) return;
+  ctx().packageChecked = true;
+  for (const f of ROOT_FILES) if (!existsSync(join(PKG_ROOT, f))) warn(`Package file missing: ${f} \u2014 not installed`);
+  for (const d of SUBFOLDERS) if (!getMdFiles(d).length) warn(`Package folder missing or empty: ${d}/ \u2014 not installed`);
+}
+
+// Relative paths of every file install() copies into skill-backend-mt/
+function skillFiles() {
+  const files = ROOT_FILES.filter(f => existsSync(join(PKG_ROOT, f)));
+  for (const folder of SUBFOLDERS) {
+    for (const f of getMdFiles(folder)) files.push(`${folder}/${f}`);
+  }
+  return files;
+}
+
+const hashFile = fp => createHash('sha256').update(readFileSync(fp)).digest('hex');
+const hashText = text => createHash('sha256').update(text).digest('hex');
+
+// --- Slim Install (--only / --slim) -------------------------------------------------
+
+const FRAMEWORK_FOLDERS = ['nodejs', 'python', 'java', 'php', 'others'];
+
+// --only names → framework file
+const STACK_FILES = {
+  nestjs: 'nodejs/nestjs.md',
+  nextjs: 'nodejs/nextjs.md', next: 'nodejs/nextjs.md',
+  express: 'nodejs/express.md', fastify: 'nodejs/express.md',
+  vuejs: 'nodejs/vuejs.md', vue: 'nodejs/vuejs.md', nuxt: 'nodejs/vuejs.md',
+  fastapi: 'python/fastapi.md',
+  django: 'python/django.md',
+  'spring-boot': 'java/spring-boot.md', spring: 'java/spring-boot.md',
+  laravel: 'php/laravel.md',
+  go: 'others/go-ruby-rust.md', ruby: 'others/go-ruby-rust.md', rails: 'others/go-ruby-rust.md',
+  rust: 'others/go-ruby-rust.md', 'go-ruby-rust': 'others/go-ruby-rust.md',
+};
+
+const isFrameworkFile = rel => FRAMEWORK_FOLDERS.includes(rel.split('/')[0]);
+const stackName = rel => rel.slice(rel.lastIndexOf('/') + 1).replace(/\.md$/, '');
+
+// "nestjs,fastapi" → ['nodejs/nestjs.md', 'python/fastapi.md']
+function resolveOnly(list) {
+  const names = String(list || '').split(',').map(n => n.trim().toLowerCase()).filter(Boolean);
+  const unknown = names.filter(n => !STACK_FILES[n]);
+  if (!names.length || unknown.length) {
+    throw new Error(`${unknown.length ? `Unknown stack: ${unknown.join(', ')}. ` : '--only needs a list. '}Available: ${Object.keys(STACK_FILES).join(', ')}`);
+  }
+  return [...new Set(names.map(n => STACK_FILES[n]))].sort();
+}
+
+// Framework files for the project in dir (every service in a monorepo)
+function slimFiles(dir) {
+  const root = detectProject(dir);
+  const projects = [root, ...detectWorkspaces(dir, root).map(ws => ws.project)];
+  return [...new Set(projects.map(p => FRAMEWORK_GUIDES[p.framework]?.[0]).filter(Boolean))].sort();
+}
+
+// The flags that install into baseDir again: --claude (plus --project) or --path DIR
+function targetFlags(baseDir) {
+  const key = Object.keys(AGENTS).find(k => resolve(AGENTS[k].dir) === resolve(baseDir));
+  if (key) return ctx().projectRoot ? `--${key} --project` : `--${key}`;
+  return `--path ${/\s/.test(baseDir) ? `"${baseDir}"` : baseDir}`;
+}
+
+// What a slim install into baseDir writes instead of a framework file it leaves out,
+// so SKILL.md's routing lands on instructions rather than a missing path
+function stubText(rel, only, baseDir) {
+  const title = readFileSync(join(PKG_ROOT, rel), 'utf-8').match(/^# (.+?)(?: \u2014 .*)?$/m)?.[1] || stackName(rel);
+  const names = only.map(stackName);
+  return [
+    `# ${title} \u2014 not installed`,
+    '',
+    `> Slim install (\`--only ${names.join(',')}\`): ${title} patterns were left out.`,
+    `> Install them with: \`npx @buivietphi/skill-backend-mt ${targetFlags(baseDir)} --only ${[...names, stackName(rel)].join(',')}\``,
+    '',
+  ].join('\n');
+}
+
+// Copy one package file into an install (or its stub), returning the hash to record
+function putSkillFile(rel, dstPath, only, baseDir) {
+  if (only && isFrameworkFile(rel) && !only.includes(rel)) {
+    const stub = stubText(rel, only, baseDir);
+    writeFile(dstPath, stub);
+    return hashText(stub);
+  }
+  copyFile(join(PKG_ROOT, rel), dstPath);
+  return hashFile(join(PKG_ROOT, rel));
+}
+
+// Hash of what putSkillFile would write
+function packageHash(rel, only, baseDir) {
+  if (only && isFrameworkFile(rel) && !only.includes(rel)) return hashText(stubText(rel, only, baseDir));
+  return hashFile(join(PKG_ROOT, rel));
+}
+
+// All files under dir, as '/'-separated paths relative to dir
+function listFiles(dir, prefix = '') {
+  if (!existsSync(dir)) return [];
+  const out = [];
+  for (const e of readdirSync(dir, { withFileTypes: true })) {
+    const rel = prefix + e.name;
+    if (e.isDirectory()) out.push(...listFiles(join(dir, e.name), rel + '/'));
+    else out.push(rel);
+  }
+  return out;
+}
+
+// --- Rule Packs (--pack) -------------------------------------------------------------
+// A team's own Markdown guidance installed as skill-backend-mt/packs/<name>/ and
+// routed from the installed SKILL.md's Task Router and Smart Loading lists.
+
+const PACK_MANIFEST = 'pack.json';
+const PACK_SCHEMA = join(PKG_ROOT, 'pack.schema.json');
+const PACK_PRIORITY = 5;
+
+// Read and validate a pack folder → { name, version?, description?, files, source }.
+// origin (set when source is the installed copy) is the folder the manifest keeps pointing at.
+function loadPack(dir) {
+  const source = resolve(dir);
+  const fp = join(source, PACK_MANIFEST);
+  if (!existsSync(fp)) throw new Error(`Not a rule pack: ${source} has no ${PACK_MANIFEST}`);
+  let pack;
+  try { pack = JSON.parse(readFileSync(fp, 'utf-8')); } catch (e) { throw new Error(`${fp}: invalid JSON \u2014 ${e.message}`); }
+
+  const errors = schemaErrors(pack, JSON.parse(readFileSync(PACK_SCHEMA, 'utf-8')));
+  if (!errors.length) {
+    for (const f of pack.files) if (!existsSync(join(source, f.file))) errors.push(`files: ${f.file} is not in the pack folder`);
+  }
+  if (errors.length) {
+    throw new Error(`Invalid rule pack ${fp}:\n${errors.map(e => `      - ${e}`).join('\n')}\n    Schema: ${PACK_SCHEMA}`);
+  }
+  return { ...pack, source };
+}
+
+// Packs an install already has, re-read from their source (the installed copy when it moved)
+function installedPacks(skillDir) {
+  const packs = [];
+  for (const { name, source: recorded } of readManifest(skillDir)?.packs || []) {
+    const source = resolve(skillDir, recorded); // --project installs record it relative
+    if (existsSync(join(source, PACK_MANIFEST))) { packs.push(loadPack(source)); continue; }
+    const copy = join(skillDir, 'packs', name);
+    if (!existsSync(join(copy, PACK_MANIFEST))) { warn(`Pack ${name}: ${source} not found \u2014 dropped`); continue; }
+    warn(`Pack ${name}: ${source} not found \u2014 using the installed copy`);
+    packs.push({ ...loadPack(copy), origin: source });
+  }
+  return packs;
+}
+
+// The installed packs plus add (same name: add wins), minus the names in drop
+function packsFor(skillDir, { add = [], drop = [] } = {}) {
+  const byName = new Map(installedPacks(skillDir).map(p => [p.name, p]));
+  for (const p of add) byName.set(p.name, p);
+  for (const name of drop) byName.delete(name);
+  return [...byName.values()];
+}
+
+const packPath = (pack, file) => `packs/${pack.name}/${file}`;
+const packLabel = pack => (pack.version ? `${pack.name}@${pack.version}` : pack.name);
+
+// "~2.1k tokens" / "~560 tokens" / "~8 tokens", as SKILL.md writes them (tokenCount)
+function tokenLabel(t) {
+  if (t >= 1000) return `~${(t / 1000).toFixed(1)}k tokens`;
+  return `~${t >= 100 ? Math.round(t / 10) * 10 : Math.max(t, 1)} tokens`;
+}
+
+// The package SKILL.md with the packs added to the end of the Task Router block
+// and to their PRIORITY level in Smart Loading
+function mergePacks(skill, packs) {
+  if (!packs.length) return skill;
+  const lines = skill.split('\n');
+
+  const fence = heading => {
+    const at = lines.findIndex(l => l === `## ${heading}`);
+    const open = lines.findIndex((l, i) => i > at && l.startsWith('```'));
+    return { open, close: lines.findIndex((l, i) => i > open && l.startsWith('```')) };
+  };
+
+  // Smart Loading first — inserting there does not move the Task Router above it
+  const smart = fence('Smart Loading');
+  const levels = [];
+  for (let i = smart.open; i < smart.close; i++) {
+    const m = lines[i].match(/^PRIORITY (\d)(?:-(\d))?/);
+    if (m) levels.push({ at: i, from: +m[1], to: +(m[2] || m[1]) });
+  }
+  const additions = new Map();
+  for (const pack of packs) {
+    for (const f of pack.files) {
+      const priority = f.priority || PACK_PRIORITY;
+      const level = levels.find(l => priority >= l.from && priority <= l.to) || levels[levels.length - 1];
+      const tokens = tokenCount(join(pack.source, f.file));
+      const note = f.description ? ` — ${pack.name}: ${f.description}` : ` — ${pack.name} pack`;
+      if (!additions.has(level)) additions.set(level, []);
+      additions.get(level).push(`  → ${packPath(pack, f.file)} (${tokenLabel(tokens)})${note}`);
+    }
+  }
+  for (const level of [...levels].reverse()) {
+    if (!additions.has(level)) continue;
+    let end = level.at + 1;
+    while (end < smart.close && lines[end].trim()) end++;
+    lines.splice(end, 0, ...additions.get(level));
+  }
+
+  const router = fence('Task Router');
+  const routes = [];
+  for (const pack of packs) {
+    routes.push('', `── PACK: ${pack.name.toUpperCase()} `.padEnd(67, '─'), '');
+    for (const f of pack.files) {
+      const triggers = f.triggers?.length ? f.triggers : [f.description || f.file];
+      routes.push(`${`"${triggers[0]}"`.padEnd(31)} → Read: ${packPath(pack, f.file)}`);
+      for (const t of triggers.slice(1)) routes.push(`"${t}"`);
+      if (f.description && f.triggers?.length) routes.push(`${' '.repeat(34)}${f.description}`);
+      routes.push('');
+    }
+  }
+  lines.splice(router.close, 0, ...routes.slice(0, -1));
+  return lines.join('\n');
+}
+
+// Everything an install holds, relative path → { hash, put(dstPath) }: the package
+// files (stubs in a slim install), SKILL.md with the packs merged in, the pack files
+function skillEntries(baseDir, { only = null, packs = [] } = {}) {
+  const entries = new Map();
+  for (const f of skillFiles()) entries.set(f, { hash: packageHash(f, only, baseDir), put: fp => putSkillFile(f, fp, only, baseDir) });
+  if (packs.length) {
+    const skill = mergePacks(readFileSync(join(PKG_ROOT, 'SKILL.md'), 'utf-8'), packs);
+    entries.set('SKILL.md', { hash: hashText(skill), put: fp => writeFile(fp, skill) });
+  }
+  for (const pack of packs) {
+    for (const file of [PACK_MANIFEST, ...pack.files.map(f => f.file)]) {
+      const src = join(pack.source, file);
+      // a pack re-read from its installed copy is already in place
+      entries.set(packPath(pack, file), { hash: hashFile(src), put: fp => resolve(fp) !== src && copyFile(src, fp) });
+    }
+  }
+  return entries;
+}
+
+// Manifest packs whose source folder changed since they were installed
+function changedPacks(manifest, skillDir) {
+  return (manifest?.packs || []).filter(({ name, source }) => {
+    const dir = resolve(skillDir, source);
+    if (!existsSync(join(dir, PACK_MANIFEST))) return false;
+    const prefix = `packs/${name}/`;
+    return Object.entries(manifest.files).some(([f, hash]) => {
+      if (!f.startsWith(prefix)) return false;
+      const src = join(dir, f.slice(prefix.length));
+      return !existsSync(src) || hashFile(src) !== hash;
+    });
+  });
+}
+
+function readManifest(skillDir) {
+  try { return JSON.parse(readFileSync(join(skillDir, MANIFEST), 'utf-8')); } catch { return null; }
+}
+
+// --- Run Settings ------------------------------------------------------------------
+// What one CLI run or one API call was asked for: the home folder, --project,
+// --dry-run, quiet output, the effect recorder. Each run passes its own object to
+// runs.run() and everything below reads it through ctx(), so API calls (also
+// concurrent ones) never see each other's settings or the CLI's.
+
+const runs = new AsyncLocalStorage();
+
+function newRun({ home = homedir(), projectRoot = null, dryRun = false, quiet = false, record = false, backupsKept = 3 } = {}) {
+  return {
+    home,
+    projectRoot,                // --project: the repo whose own agent folders replace home
+    dryRun,
+    dryDirs: new Set(),         // dirs a dry run would have created
+    dryRemoved: new Set(),      // paths a dry run would have removed
+    quiet,                      // the API and --json: no human output; errors still reach stderr
+    recorder: record ? { effects: [], warnings: [] } : null, // what the API / --json reports
+    backupsKept,                // --keep-backups N, or backups.keep in the team config; 0 turns backups off
+    teamConfigs: new Map(),
+    packageChecked: false,
+  };
+}
+
+// Defaults outside any run (never changed)
+const outsideRun = Object.freeze(newRun());
+const ctx = () => runs.getStore() || outsideRun;
+
+// --- Filesystem effects ----------------------------------------------------------
+// Every write goes through these so --dry-run can print the plan instead, and
+// the programmatic API / --json can report what was written.
+
+const plan = (action, path, detail = '') =>
+  log(`  ${c.dim}[dry-run]${c.reset} ${action.padEnd(9)} ${path}${detail ? ` ${c.dim}${detail}${c.reset}` : ''}`);
+
+const bytes = n => `(${n.toLocaleString()} bytes)`;
+
+function effect(action, path, { size, reason } = {}) {
+  ctx().recorder?.effects.push({ action, path, ...(size !== undefined && { bytes: size }), ...(reason && { reason }) });
+  if (ctx().dryRun) plan(action, path, size !== undefined ? bytes(size) : reason ? `(${reason})` : '');
+}
+
+function makeDir(dir) {
+  if (existsSync(dir) || ctx().dryDirs.has(dir)) return;
+  makeDir(dirname(dir));
+  effect('mkdir', dir);
+  if (ctx().dryRun) ctx().dryDirs.add(dir);
+  else mkdirSync(dir);
+}
+
+function copyFile(src, dst) {
+  effect(existsSync(dst) ? 'overwrite' : 'write', dst, { size: statSync(src).size });
+  if (!ctx().dryRun) cpSync(src, dst, { force: true });
+}
+
+function writeFile(fp, content) {
+  effect(existsSync(fp) ? 'overwrite' : 'write', fp, { size: Buffer.byteLength(content) });
+  if (!ctx().dryRun) writeFileSync(fp, content, 'utf-8');
+}
+
+function removeFile(fp) {
+  if (!existsSync(fp)) return;
+  effect('remove', fp);
+  if (ctx().dryRun) ctx().dryRemoved.add(fp);
+  else rmSync(fp);
+}
+
+// A whole folder — backups are replaced and pruned as a unit
+function removeDir(dir) {
+  if (!existsSync(dir) || ctx().dryRemoved.has(dir)) return;
+  effect('remove', dir);
+  if (ctx().dryRun) ctx().dryRemoved.add(dir);
+  else rmSync(dir, { recursive: true });
+}
+
+function skipFile(fp, reason) {
+  effect('skip', fp, { reason });
+}
+
+// Skills folder of an agent — resolved against the run's home (or --project repo) on every use
+const globalAgent = (name, folder) => ({
+  name,
+  skillsIn: root => join(root, folder, 'skills'),
+  get dir() { return this.skillsIn(ctx().projectRoot || ctx().home); },
+  detect: () => existsSync(join(ctx().projectRoot || ctx().home, folder)),
+});
+
+const AGENTS = {
+  claude:       globalAgent('Claude Code', '.claude'),
+  cline:        globalAgent('Cline',       '.cline'),
+  roocode:      globalAgent('Roo Code',    '.roo'),
+  cursor:       globalAgent('Cursor',      '.cursor'),
+  windsurf:     globalAgent('Windsurf',    '.windsurf'),
+  copilot:      globalAgent('Copilot',     '.copilot'),
+  codex:        globalAgent('Codex',       '.codex'),
+  gemini:       globalAgent('Gemini CLI',  '.gemini'),
+  kimi:         globalAgent('Kimi',        '.kimi'),
+  kilocode:     globalAgent('Kilo Code',   '.kilocode'),
+  kiro:         globalAgent('Kiro',        '.kiro'),
+  antigravity:  globalAgent('Antigravity', '.agents'),
+};
+
+const plain = m => m.replace(/\x1b\[\d+m/g, '');
+
+const c = { reset: '\x1b[0m', bold: '\x1b[1m', dim: '\x1b[2m', green: '\x1b[32m', yellow: '\x1b[33m', blue: '\x1b[34m', cyan: '\x1b[36m', red: '\x1b[31m' };
+const log = m => { if (!ctx().quiet) process.stdout.write(m + '\n'); };
+const ok  = m => log(`  ${c.green}\u2713${c.reset} ${m}`);
+const info = m => log(`  ${c.blue}\u2139${c.reset} ${m}`);
+const warn = m => { ctx().recorder?.warnings.push(plain(m)); log(`  ${c.yellow}!${c.reset} ${m}`); };
+const fail = m => ctx().quiet ? process.stderr.write(plain(m) + '\n') : log(`  ${c.red}\u2717${c.reset} ${m}`);
+const printJson = data => process.stdout.write(JSON.stringify(data, null, 2) + '\n');
+
+function banner() {
+  log(`\n${c.bold}${c.cyan}  \u250C\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2510`);
+  log(`  \u2502  \uD83D\uDD27 @buivietphi/skill-backend-mt ${`v${PKG_VERSION}`.padEnd(16)}\u2502`);
+  log(`  \u2502  Master Senior Backend Engineer                  \u2502`);
+  log(`  \u2502                                                  \u2502`);
+  log(`  \u2502  Claude \u00B7 Cline \u00B7 Roo Code \u00B7 Cursor \u00B7 Windsurf  \u2502`);
+  log(`  \u2502  Copilot \u00B7 Codex \u00B7 Gemini \u00B7 Kimi \u00B7 Kilo \u00B7 Kiro  \u2502`);
+  log(`  \u2502  Antigravity                                     \u2502`);
+  log(`  \u2502  NestJS \u00B7 Next.js \u00B7 Express \u00B7 Vue \u00B7 Django \u00B7 FastAPI\u2502`);
+  log(`  \u2502  Spring Boot \u00B7 Laravel \u00B7 Go \u00B7 Ruby \u00B7 Rust        \u2502`);
+  log(`  \u2514\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2518${c.reset}\n`);
+}
+
+// --- Token Estimate ---------------------------------------------------------------
+// Offline, dependency-free ESTIMATE of a BPE tokenizer's count (cl100k / o200k style),
+// not a real tokenizer: split text the way those tokenizers pre-tokenize, then price
+// each piece the way BPE merges usually land. Closer than a flat chars-per-token
+// ratio on box drawing, emoji, tables and code identifiers. Every token figure the
+// installer prints, checks (--verify) or documents (SKILL.md, README) comes from here.
+
+const PRETOKEN_RE = /'(?:[sdmt]|ll|ve|re)| ?\p{L}+| ?\p{N}{1,3}| ?[^\s\p{L}\p{N}]+[\r\n]*|\s*[\r\n]+|\s+(?!\S)|\s+/gu;
+const EMOJI_RE = /\p{Extended_Pictographic}/u;
+
+// One word: common short words are a single merge; longer ones and camelCase
+// identifiers split into sub-words of ~6 chars; non-ASCII letters cost a token each
+function wordTokens(word) {
+  if (/[^\x00-\x7F]/.test(word)) {
+    const ascii = word.replace(/[^\x00-\x7F]/g, ' ').split(' ').filter(Boolean);
+    return ascii.reduce((n, w) => n + wordTokens(w), 0) + word.replace(/[\x00-\x7F]/g, '').length;
+  }
+  return word.split(/(?<=[a-z])(?=[A-Z])|(?<=[A-Z])(?=[A-Z][a-z])/)
+    .reduce((n, part) => n + (part.length <= 8 ? 1 : Math.ceil(part.length / 6)), 0);
+}
+
+function symbolTokens(run) {
+  let n = 0, ascii = 0;
+  for (const ch of run) {
+    if (ch.charCodeAt(0) < 0x80) { ascii++; continue; }
+    n += EMOJI_RE.test(ch) ? 2 : 1;
+  }
+  return n + Math.ceil(ascii / 3);
+}
+
+function estimateTokens(text) {
+  let n = 0;
+  for (const [piece] of text.matchAll(PRETOKEN_RE)) {
+    const body = piece.trim();
+    if (!body) n++;                                   // whitespace / newline run
+    else if (/^\p{L}+$/u.test(body)) n += wordTokens(body);
+    else if (/^\p{N}+$/u.test(body) || piece.startsWith("'")) n++;
+    else n += symbolTokens(body);
+  }
+  return n;
+}
+
+function tokenCount(filePath) {
+  if (!existsSync(filePath)) return 0;
+  return estimateTokens(readFileSync(filePath, 'utf-8'));
+}
+
+// Context windows the report compares against
+const CONTEXT_WINDOWS = [['32K', 32_000], ['128K', 128_000], ['200K', 200_000], ['1M', 1_000_000]];
+
+// "→ shared/x.md" entries listed under the given PRIORITY headings of SKILL.md's Smart Loading block
+function smartLoadPriorities(levels) {
+  const text = existsSync(join(PKG_ROOT, 'SKILL.md')) ? readFileSync(join(PKG_ROOT, 'SKILL.md'), 'utf-8') : '';
+  const block = text.slice(text.indexOf('## Smart Loading')).split(/^## /m)[1] || '';
+  const files = [];
+  let level = null;
+  for (const line of block.split('\n')) {
+    const head = line.match(/^PRIORITY ([\d-]+)/);
+    if (head) { level = head[1]; continue; }
+    const file = line.match(/→\s*([\w-]+\/[\w.-]+\.md)/)?.[1];
+    if (file && levels.includes(level)) files.push({ file, priority: `P${level}` });
+  }
+  return files;
+}
+
+// What an agent really loads for this project: SKILL.md, the detected framework
+// file (largest one when nothing is detected) and SKILL.md's PRIORITY 3/4 files.
+// dir null skips detection (install summary) — only --context scans a project.
+function smartLoadSet(dir) {
+  const project = dir ? detectProject(dir) : {};
+  const guide = FRAMEWORK_GUIDES[project.framework]?.[0];
+  const frameworkFiles = [...new Set(Object.values(FRAMEWORK_GUIDES).map(([f]) => f))];
+  const framework = guide
+    ? { file: guide, priority: 'P2', why: project.framework }
+    : { ...frameworkFiles.map(file => ({ file })).sort((a, b) => tokenCount(join(PKG_ROOT, b.file)) - tokenCount(join(PKG_ROOT, a.file)))[0], priority: 'P2', why: 'largest — no framework detected' };
+
+  const files = [{ file: 'SKILL.md', priority: 'P1' }, framework, ...smartLoadPriorities(['3', '4'])]
+    .filter(f => existsSync(join(PKG_ROOT, f.file)))
+    .map(f => ({ ...f, tokens: tokenCount(join(PKG_ROOT, f.file)) }));
+  const all = skillFiles().map(file => ({ file, tokens: tokenCount(join(PKG_ROOT, file)) })).sort((a, b) => b.tokens - a.tokens);
+  const smart = files.reduce((n, f) => n + f.tokens, 0);
+  const full = all.reduce((n, f) => n + f.tokens, 0);
+
+  return {
+    framework: isDetected(project.framework) ? project.framework : null,
+    files,
+    tokens: smart,
+    fullTokens: full,
+    windows: CONTEXT_WINDOWS.map(([name, size]) => ({ name, size, smart: smart / size, full: full / size })),
+    largest: all.slice(0, 5).map(f => ({ ...f, smartLoad: files.some(s => s.file === f.file) })),
+  };
+}
+
+const pct = r => `${(r * 100).toFixed(1)}%`;
+
+// --context: smart-load set for the current project against common windows
+function showContextReport(report) {
+  const stack = report.framework ? `for ${c.cyan}${report.framework}` : `${c.dim}(no framework detected)`;
+  log(`${c.bold}  \uD83D\uDCCA Smart load ${stack}${c.reset}`);
+  for (const f of report.files) {
+    log(`  ${c.dim}  ${f.priority}${c.reset}  ${f.file.padEnd(32)} ${`~${f.tokens.toLocaleString()}`.padStart(7)} tokens${f.why ? ` ${c.dim}(${f.why})${c.reset}` : ''}`);
+  }
+  log(`${c.dim}  ${'\u2500'.repeat(56)}${c.reset}`);
+  log(`  ${c.green}  Smart load:${c.reset}  ~${report.tokens.toLocaleString()} tokens   ${c.dim}All files: ~${report.fullTokens.toLocaleString()}${c.reset}\n`);
+
+  log(`${c.bold}  Context window      Smart load      All files${c.reset}`);
+  for (const w of report.windows) {
+    const full = w.full > 1 ? `${c.red}${pct(w.full)} (does not fit)${c.reset}` : pct(w.full);
+    log(`    ${w.name.padEnd(16)}  ${pct(w.smart).padStart(10)}      ${full}`);
+  }
+
+  log(`\n${c.bold}  Largest files:${c.reset}`);
+  for (const f of report.largest) {
+    log(`    ${f.file.padEnd(36)} ${`~${f.tokens.toLocaleString()}`.padStart(7)} tokens${f.smartLoad ? ` ${c.yellow}(in smart load)${c.reset}` : ''}`);
+  }
+  log('');
+}
+
+function showContext() {
+  log(`${c.bold}  \uD83D\uDCCA Context budget:${c.reset}`);
+  let total = 0;
+  for (const f of ROOT_FILES) {
+    const t = tokenCount(join(PKG_ROOT, f));
+    total += t;
+    log(`  ${c.dim}  ${f.padEnd(30)} ~${t.toLocaleString()} tokens${c.reset}`);
+  }
+  for (const folder of SUBFOLDERS) {
+    let ft = 0;
+    for (const f of getMdFiles(folder)) ft += tokenCount(join(PKG_ROOT, folder, f));
+    total += ft;
+    log(`  ${c.dim}  ${(folder + '/').padEnd(30)} ~${ft.toLocaleString()} tokens${c.reset}`);
+  }
+  const smart = smartLoadSet(null).tokens;
+  log(`${c.dim}  \u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500${c.reset}`);
+  log(`  ${c.bold}  All loaded:${c.reset}                    ~${total.toLocaleString()} tokens`);
+  log(`  ${c.green}  Smart load (largest stack):${c.reset}    ~${smart.toLocaleString()} tokens ${c.dim}(--context for your project)${c.reset}\n`);
+}
+
+// install() for the API and --json: where the skill landed and how many files
+function installTarget(agent, name, dir, only, addPacks = []) {
+  const files = install(dir, name, { only, addPacks });
+  const packs = readManifest(join(dir, SKILL_NAME))?.packs || addPacks;
+  return {
+    agent, name, dir: join(dir, SKILL_NAME), files,
+    ...(only && { only: only.map(stackName) }),
+    ...(packs.length && { packs: packs.map(p => p.name) }),
+  };
+}
+
+// only: framework files to install (slim install); the rest become stubs.
+// addPacks: rule packs to add to the ones already installed there
+function install(baseDir, agentName, { only = null, addPacks = [] } = {}) {
+  warnMissingPackageFiles();
+
+  // Install main skill
+  const dst = join(baseDir, SKILL_NAME);
+  const packs = packsFor(dst, { add: addPacks });
+  const backup = backupInstall(baseDir);
+  makeDir(dst);
+  const hashes = {};
+  for (const [f, entry] of skillEntries(baseDir, { only, packs })) {
+    makeDir(dirname(join(dst, f)));
+    entry.put(join(dst, f));
+    hashes[f] = entry.hash;
+  }
+  for (const folder of SUBFOLDERS) makeDir(join(dst, folder));
+  writeManifest(dst, hashes, { only, packs });
+  const slim = only ? `, slim: ${only.map(stackName).join(', ')}` : '';
+  const packNote = packs.length ? `, packs: ${packs.map(packLabel).join(', ')}` : '';
+  const backupNote = backup ? `, backup of v${backup} in ${BACKUPS}/` : '';
+  ok(`${c.bold}${SKILL_NAME}/${c.reset} \u2192 ${agentName} ${c.dim}(${dst}${slim}${packNote}${backupNote})${c.reset}`);
+
+  // Auto-install humanizer-backend as separate skill
+  installHumanizer(baseDir, agentName);
+
+  return Object.keys(hashes).length;
+}
+
+function installHumanizer(baseDir, agentName) {
+  const humanizerSrc = join(PKG_ROOT, 'humanizer', 'humanizer-backend.md');
+  if (!existsSync(humanizerSrc)) return false;
+  const humDst = join(baseDir, 'humanizer-backend');
+  makeDir(humDst);
+  copyFile(humanizerSrc, join(humDst, 'humanizer-backend.md'));
+  ok(`${c.bold}humanizer-backend/${c.reset} \u2192 ${agentName} ${c.dim}(${humDst})${c.reset}`);
+  return true;
+}
+
+// --- Backups (--rollback) ----------------------------------------------------------
+// Before install / update rewrite an agent's skill-backend-mt/, the install is copied to
+// .skill-backend-mt.backups/<version>/ beside it, named after its manifest version.
+// --rollback copies one back. Only the newest backupsKept backups are kept.
+// --project installs keep none unless asked: the team's history is in git.
+
+const BACKUPS = '.skill-backend-mt.backups';
+const BACKUP_INFO = '.skill-backup.json';
+
+// Backups beside an agent's skill folder, newest first → [{ version, backedUpAt, dir }]
+function listBackups(baseDir) {
+  const root = join(baseDir, BACKUPS);
+  if (!existsSync(root)) return [];
+  return readdirSync(root, { withFileTypes: true })
+    .filter(e => e.isDirectory() && !ctx().dryRemoved.has(join(root, e.name)))
+    .map(e => {
+      const dir = join(root, e.name);
+      const meta = readJsonc(join(dir, BACKUP_INFO)) || {};
+      return { version: meta.version || e.name, backedUpAt: meta.backedUpAt || '', dir };
+    })
+    .sort((a, b) => b.backedUpAt.localeCompare(a.backedUpAt));
+}
+
+// Copy the current install to the backup of its version (replacing an older copy of
+// that version), then prune. keep: a backup dir pruning must leave alone. → version or null
+function backupInstall(baseDir, { keep } = {}) {
+  const dst = join(baseDir, SKILL_NAME);
+  const manifest = readManifest(dst);
+  // only user files left (after --uninstall) — nothing of ours to keep
+  if (!ctx().backupsKept || (!manifest && !existsSync(join(dst, 'SKILL.md')))) return null;
+
+  const files = listFiles(dst);
+  const version = manifest?.version || 'unknown';
+  const dir = join(baseDir, BACKUPS, version);
+  removeDir(dir);
+  for (const f of files) {
+    makeDir(dirname(join(dir, f)));
+    copyFile(join(dst, f), join(dir, f));
+  }
+  writeFile(join(dir, BACKUP_INFO), JSON.stringify({ version, backedUpAt: new Date().toISOString(), from: dst }, null, 2) + '\n');
+  // keeps backups out of commits when the skills folder is in a repo (--project, dotfiles)
+  const ignore = join(baseDir, BACKUPS, '.gitignore');
+  if (!existsSync(ignore)) writeFile(ignore, '*\n');
+
+  const older = listBackups(baseDir).filter(b => b.dir !== dir && b.dir !== keep);
+  for (const b of older.slice(Math.max(0, ctx().backupsKept - 1 - (keep ? 1 : 0)))) removeDir(b.dir);
+  removeEmptyDir(join(baseDir, BACKUPS));
+  return version;
+}
+
+// Restore a backup (version, else the newest of another version than the installed one).
+// The installer files of the current install are replaced, user files stay. The current
+// install is backed up first unless it is the version being restored. → version or null
+function rollback(baseDir, agentName, version) {
+  const dst = join(baseDir, SKILL_NAME);
+  const current = readManifest(dst)?.version;
+  const backups = listBackups(baseDir);
+  const backup = version
+    ? backups.find(b => b.version === version)
+    : backups.find(b => b.version !== current) || backups[0];
+  if (!backup) {
+    const have = backups.length ? ` (backups: ${backups.map(b => b.version).join(', ')})` : '';
+    warn(`${agentName}: no backup${version ? ` of v${version}` : ''} to restore${have} ${c.dim}${join(baseDir, BACKUPS)}${c.reset}`);
+    return null;
+  }
+
+  if (backup.version !== current) backupInstall(baseDir, { keep: backup.dir });
+  const files = listFiles(backup.dir).filter(f => f !== BACKUP_INFO);
+  for (const f of Object.keys(readManifest(dst)?.files || {})) {
+    if (files.includes(f) || !existsSync(join(dst, f))) continue;
+    removeFile(join(dst, f));
+    removeEmptyDir(dirname(join(dst, f)));
+  }
+  for (const f of files) {
+    makeDir(dirname(join(dst, f)));
+    copyFile(join(backup.dir, f), join(dst, f));
+  }
+  const from = current ? `v${current} \u2192 ` : '';
+  ok(`${c.bold}${SKILL_NAME}/${c.reset} \u2192 ${agentName} ${c.dim}(restored ${from}v${backup.version}, backed up ${backup.backedUpAt.slice(0, 10) || 'at an unknown time'})${c.reset}`);
+  return backup.version;
+}
+
+// --- Update ----------------------------------------------------------------------
+
+const CONFLICT_CHOICES = ['keep', 'overwrite', 'new'];
+
+// Ask what to do with a locally edited file. Non-TTY falls back to 'new',
+// which never loses either version.
+function askConflict(file, agentName) {
+  if (!process.stdin.isTTY) return Promise.resolve('new');
+
+  process.stdout.write(`  ${c.yellow}?${c.reset} ${agentName}: ${c.bold}${file}${c.reset} has local edits \u2014 ${c.cyan}[k]${c.reset}eep, ${c.cyan}[o]${c.reset}verwrite, write ${c.cyan}[n]${c.reset}ew ${c.dim}(.new)${c.reset} `);
+
+  return new Promise(resolve => {
+    process.stdin.setRawMode(true);
+    process.stdin.resume();
+    process.stdin.setEncoding('utf8');
+
+    const onKey = key => {
+      const k = key.toLowerCase();
+      if (key === '\x03') { process.stdin.setRawMode(false); process.stdout.write('\n'); process.exit(0); }
+      const choice = k === 'k' ? 'keep' : k === 'o' ? 'overwrite' : k === 'n' ? 'new' : null;
+      if (!choice) return;
+      process.stdin.setRawMode(false);
+      process.stdin.pause();
+      process.stdin.off('data', onKey);
+      process.stdout.write(`${choice}\n`);
+      resolve(choice);
+    };
+
+    process.stdin.on('data', onKey);
+  });
+}
+
+// Update an install in place using the manifest from the last install:
+// pristine files are replaced, edited files go through resolveConflict when the
+// package copy changed, files dropped from the package are removed unless they were edited.
+// A slim install stays slim: only defaults to the selection in the manifest.
+// Installed rule packs are re-read from their source; addPacks / dropPacks (names) change the set.
+async function update(baseDir, agentName, resolveConflict, { only, addPacks = [], dropPacks = [] } = {}) {
+  warnMissingPackageFiles();
+  const dst = join(baseDir, SKILL_NAME);
+  const manifest = readManifest(dst);
+  only = only === undefined ? manifest?.only || null : only;
+  if (!existsSync(dst)) return install(baseDir, agentName, { only, addPacks });
+
+  const packs = packsFor(dst, { add: addPacks, drop: dropPacks });
+  const previous = manifest?.files || {};
+  const hashes = {};
+  let updated = 0, kept = 0, sideBySide = 0, removed = 0;
+  // Back up once, before the first file changes — a no-op update leaves no backup
+  let backup;
+  const put = (entry, fp) => {
+    if (backup === undefined) backup = backupInstall(baseDir);
+    entry.put(fp);
+  };
+
+  for (const [f, entry] of skillEntries(baseDir, { only, packs })) {
+    const fp  = join(dst, f);
+    hashes[f] = entry.hash;
+
+    if (!existsSync(fp)) {
+      makeDir(dirname(fp));
+      put(entry, fp);
+      updated++;
+      continue;
+    }
+
+    const current = hashFile(fp);
+    if (current === entry.hash) continue;
+    if (current === previous[f]) {
+      put(entry, fp);
+      updated++;
+      continue;
+    }
+    // Edited, but the package copy did not change \u2014 nothing to resolve
+    if (entry.hash === previous[f]) continue;
+
+    if (ctx().dryRun) { skipFile(fp, 'local edits \u2014 would ask keep / overwrite / new'); continue; }
+
+    const choice = await resolveConflict(f, agentName);
+    const side = fp + '.new';
+    if (choice === 'overwrite') {
+      put(entry, fp);
+      updated++;
+    } else if (choice === 'new' && existsSync(side) && ![previous[f], entry.hash].includes(hashFile(side))) {
+      // A .new this updater did not write as-is (e.g. merged by hand) is never replaced
+      warn(`${agentName}: ${f}.new has local edits \u2014 kept, the v${PKG_VERSION} copy was not written`);
+      kept++;
+    } else if (choice === 'new') {
+      put(entry, side);
+      sideBySide++;
+    } else {
+      kept++;
+    }
+  }
+
+  // Files the new version no longer ships (and the files of dropped packs)
+  for (const [f, hash] of Object.entries(previous)) {
+    if (f in hashes) continue;
+    const fp = join(dst, f);
+    if (!existsSync(fp)) continue;
+    if (hashFile(fp) === hash) {
+      if (backup === undefined) backup = backupInstall(baseDir);
+      removeFile(fp);
+      removed++;
+      if (removeEmptyDir(dirname(fp)) && f.startsWith('packs/')) removeEmptyDir(join(dst, 'packs'));
+    } else {
+      warn(`${agentName}: ${f} is no longer installed but has local edits \u2014 kept`);
+    }
+  }
+
+  writeManifest(dst, hashes, { only, packs });
+
+  const summary = [`${updated} updated`];
+  if (kept) summary.push(`${kept} kept`);
+  if (sideBySide) summary.push(`${sideBySide} written as .new`);
+  if (removed) summary.push(`${removed} removed`);
+  if (backup) summary.push(`backup of v${backup}`);
+  ok(`${c.bold}${SKILL_NAME}/${c.reset} \u2192 ${agentName} ${c.dim}(${summary.join(', ')})${c.reset}`);
+
+  installHumanizer(baseDir, agentName);
+  return updated;
+}
+
+// Pack sources are recorded relative to the skill folder in a --project install,
+// so the committed manifest works from every checkout
+function writeManifest(skillDir, hashes, { only = null, packs = [] } = {}) {
+  const packSource = p => (ctx().projectRoot ? toPosix(relative(skillDir, p.origin || p.source)) : p.origin || p.source);
+  const manifest = {
+    name: SKILL_NAME,
+    version: PKG_VERSION,
+    installedAt: new Date().toISOString(),
+    ...(only && { only }),
+    ...(packs.length && { packs: packs.map(p => ({ name: p.name, ...(p.version && { version: p.version }), source: packSource(p) })) }),
+    files: hashes,
+  };
+  writeFile(join(skillDir, MANIFEST), JSON.stringify(manifest, null, 2) + '\n');
+}
+
+// --- Status / Doctor -------------------------------------------------------------
+
+// Compare an installed skill-backend-mt/ against its manifest.
+// Installs from before the manifest existed are compared against the package.
+function checkInstall(baseDir) {
+  const dst = join(baseDir, SKILL_NAME);
+  if (!existsSync(dst)) return { installed: false };
+
+  const manifest = readManifest(dst);
+  let expected = manifest?.files;
+  if (!expected) {
+    expected = {};
+    for (const f of skillFiles()) expected[f] = hashFile(join(PKG_ROOT, f));
+  }
+
+  const modified = [];
+  const missing  = [];
+  for (const [f, hash] of Object.entries(expected)) {
+    const fp = join(dst, f);
+    if (!existsSync(fp)) missing.push(f);
+    else if (hashFile(fp) !== hash) modified.push(f);
+  }
+  const extra = listFiles(dst).filter(f => f !== MANIFEST && !(f in expected));
+
+  return {
+    installed: true,
+    version: manifest?.version || null,
+    outdated: manifest?.version !== PKG_VERSION,
+    only: manifest?.only || null,
+    packs: manifest?.packs || [],
+    packsChanged: changedPacks(manifest, dst).map(p => p.name),
+    backups: listBackups(baseDir).map(b => b.version),
+    modified, missing, extra,
+    humanizer: existsSync(join(baseDir, 'humanizer-backend', 'humanizer-backend.md')),
+  };
+}
+
+function reportStatus(name, st) {
+  if (!st.installed) {
+    log(`  ${c.dim}\u25EF ${name.padEnd(14)} not installed${c.reset}`);
+    return;
+  }
+
+  const ver   = (st.version ? `v${st.version}` : 'unknown version (no manifest)')
+    + (st.only ? ` slim (${st.only.map(stackName).join(', ')})` : '')
+    + (st.packs.length ? ` + packs ${st.packs.map(packLabel).join(', ')}` : '');
+  const drift = st.modified.length + st.missing.length + st.extra.length;
+  if (!st.outdated && !drift && !st.packsChanged.length) {
+    ok(`${name.padEnd(14)} ${ver} ${c.dim}up to date${c.reset}`);
+  } else {
+    const parts = [];
+    if (st.outdated) parts.push(`${c.yellow}package is v${PKG_VERSION}${c.reset}`);
+    if (st.packsChanged.length) parts.push(`${c.yellow}pack source changed: ${st.packsChanged.join(', ')}${c.reset}`);
+    if (drift) parts.push(`${st.modified.length} modified, ${st.missing.length} missing, ${st.extra.length} extra`);
+    warn(`${name.padEnd(14)} ${ver} \u2014 ${parts.join(', ')}`);
+  }
+  for (const f of st.modified) log(`      ${c.yellow}M${c.reset} ${c.dim}${f}${c.reset}`);
+  for (const f of st.missing)  log(`      ${c.red}D${c.reset} ${c.dim}${f}${c.reset}`);
+  for (const f of st.extra)    log(`      ${c.cyan}?${c.reset} ${c.dim}${f}${c.reset}`);
+  if (!st.humanizer) log(`      ${c.dim}humanizer-backend/ not installed${c.reset}`);
+  if (st.backups.length) log(`      ${c.dim}backups: ${st.backups.map(v => `v${v}`).join(', ')} (--rollback)${c.reset}`);
+}
+
+// Print status for each target. With fix, reinstall the ones that drifted —
+// modified and missing files are restored, extra files are kept.
+function runStatus(targets, fix) {
+  const scope = ctx().projectRoot ? `, repo copies in ${ctx().projectRoot}` : '';
+  log(`${c.bold}  \uD83E\uDE7A Install status${c.reset} ${c.dim}(package v${PKG_VERSION}${scope})${c.reset}\n`);
+
+  const broken = [];
+  for (const t of targets) {
+    const st = checkInstall(t.dir);
+    reportStatus(t.name, st);
+    if (st.installed && (st.outdated || st.packsChanged.length || st.modified.length || st.missing.length || !st.humanizer)) broken.push(t);
+  }
+  warnCopyDrift();
+
+  if (!broken.length) { log(''); return; }
+  if (!fix) {
+    log(`\n  ${c.dim}Run with ${c.reset}${c.cyan}--fix${c.reset}${c.dim} to reinstall ${broken.length} agent(s).${c.reset}\n`);
+    return;
+  }
+
+  log(`\n${c.bold}  Fixing...${c.reset}\n`);
+  for (const t of broken) install(t.dir, t.name, { only: readManifest(join(t.dir, SKILL_NAME))?.only });
+  log(`\n${c.green}${c.bold}  \u2705 Done!${c.reset} \u2192 ${broken.length} agent(s) repaired\n`);
+}
+
+// --- Project Install (--project) ---------------------------------------------------
+// Repo-local copies the team commits. The lockfile records which version the repo
+// pins and where each agent's copy lives, so a developer's global copy can be
+// checked against it.
+
+const LOCKFILE = 'skill-backend-mt.lock.json';
+
+const toPosix = p => p.split(sep).join('/');
+
+function readLock(fp) {
+  try { return JSON.parse(readFileSync(fp, 'utf-8')); } catch { return null; }
+}
+
+// Nearest lockfile from dir upwards (a subfolder of the repo still sees it)
+function findLockfile(dir = process.cwd()) {
+  for (let d = resolve(dir); ; d = dirname(d)) {
+    if (existsSync(join(d, LOCKFILE))) return join(d, LOCKFILE);
+    if (dirname(d) === d) return null;
+  }
+}
+
+// Record the repo's copies; add adds agents, remove drops them (the file goes with the last one).
+// version: what the copies hold when it isn't this package (--rollback)
+function writeLock(root, { add = [], remove = [], only, version } = {}) {
+  const fp = join(root, LOCKFILE);
+  const prev = readLock(fp);
+  const agents = { ...prev?.agents };
+  for (const k of add) agents[k] = toPosix(relative(root, join(AGENTS[k].dir, SKILL_NAME)));
+  for (const k of remove) delete agents[k];
+  if (!Object.keys(agents).length) { removeFile(fp); return; }
+
+  const selection = only === undefined ? prev?.only : only;
+  const lock = {
+    name: SKILL_NAME,
+    version: version || (add.length ? PKG_VERSION : prev?.version || PKG_VERSION),
+    ...(selection && { only: selection }),
+    agents: Object.fromEntries(Object.keys(agents).sort().map(k => [k, agents[k]])),
+  };
+  writeFile(fp, JSON.stringify(lock, null, 2) + '\n');
+}
+
+// Agents whose global copy is a different version from the repo's locked one
+function copyDrift(lockPath) {
+  const lock = readLock(lockPath);
+  if (!lock?.version) return [];
+  const drift = [];
+  for (const k of Object.keys(lock.agents || {})) {
+    if (!AGENTS[k]) continue;
+    const global = readManifest(join(AGENTS[k].skillsIn(ctx().home), SKILL_NAME))?.version;
+    if (global && global !== lock.version) drift.push({ key: k, name: AGENTS[k].name, global, repo: lock.version });
+  }
+  return drift;
+}
+
+function warnCopyDrift(dir = process.cwd()) {
+  const lockPath = findLockfile(dir);
+  const drift = lockPath ? copyDrift(lockPath) : [];
+  if (!drift.length) return;
+  log('');
+  for (const d of drift) {
+    warn(`${d.name}: global copy v${d.global} \u2260 repo copy v${d.repo} ${c.dim}(${relative(process.cwd(), lockPath) || LOCKFILE})${c.reset}`);
+  }
+  const { repo } = drift[0];
+  info(`${c.dim}Align them: ${c.reset}${c.cyan}npx @buivietphi/skill-backend-mt@${repo} ${drift.map(d => `--${d.key}`).join(' ')}${c.reset}${c.dim} (global) or ${c.reset}${c.cyan}--update --project${c.reset}${c.dim} (repo)${c.reset}`);
+}
+
+// --- Verify (--verify) -------------------------------------------------------------
+// Lints SKILL.md's routing tables against the shipped content: referenced paths,
+// reachability, stated sizes, and the version across SKILL.md / package.json / CHANGELOG.
+
+const MD_PATH_RE = /(?<![\w/.-])((?:shared|nodejs|python|java|php|others|humanizer)\/[\w.-]+\.md|SKILL\.md|AGENTS\.md)\b/g;
+const ROUTING_SECTIONS = ['Task Router', 'Smart Loading', 'Reference Files'];
+
+// Body of a "## Heading" section of SKILL.md ('' when missing)
+function skillSection(text, heading) {
+  const part = text.split(/^## /m).find(s => s.startsWith(`${heading}\n`));
+  return part ? part.slice(heading.length + 1) : '';
+}
+
+// "56,573" → 56573, "2.0k" → 2000
+const statedNumber = (num, k = '') => Math.round(parseFloat(num.replace(/,/g, '')) * (k ? 1000 : 1));
+
+// Stated sizes: Smart Loading "path (~2.0k tokens)", Reference Files "path  N bytes  ~N tokens"
+function statedSizes(section, block) {
+  const rows = [];
+  for (const line of block.split('\n')) {
+    const ref = line.match(/^\s*(\S+\.md)\s+([\d,]+) bytes\s+~([\d,]+) tokens/);
+    if (ref) { rows.push({ section, file: ref[1], bytes: statedNumber(ref[2]), tokens: statedNumber(ref[3]) }); continue; }
+    const smart = line.match(/(\S+\.md)\s*\(~([\d.,]+)(k?) tokens\)/);
+    if (smart) rows.push({ section, file: smart[1], tokens: statedNumber(smart[2], smart[3]) });
+  }
+  return rows;
+}
+
+// tolerance: allowed drift of stated sizes, as a fraction (0.1 = 10%)
+function verifySkill({ tolerance = 0.1 } = {}) {
+  const errors = [], warnings = [];
+  const skillPath = join(PKG_ROOT, 'SKILL.md');
+  if (!existsSync(skillPath)) return { ok: false, errors: ['SKILL.md is missing'], warnings, referenced: 0, shipped: 0 };
+  const text = readFileSync(skillPath, 'utf-8');
+
+  // Every path the routing sections name must exist
+  const referenced = {};
+  for (const section of ROUTING_SECTIONS) {
+    const block = skillSection(text, section);
+    if (!block) { errors.push(`SKILL.md has no "## ${section}" section`); continue; }
+    referenced[section] = new Set([...block.matchAll(MD_PATH_RE)].map(m => m[1]));
+    for (const f of referenced[section]) {
+      if (!existsSync(join(PKG_ROOT, f))) errors.push(`${section}: ${f} does not exist`);
+    }
+  }
+
+  // Every shipped .md must be reachable from the Task Router or Smart Loading;
+  // the Reference Files inventory should list all of them
+  const shipped = skillFiles().filter(f => !ROOT_FILES.includes(f));
+  const routed = new Set([...(referenced['Task Router'] || []), ...(referenced['Smart Loading'] || [])]);
+  for (const f of shipped) {
+    if (!routed.has(f)) errors.push(`${f} is not reachable from the Task Router or Smart Loading`);
+    if (referenced['Reference Files'] && !referenced['Reference Files'].has(f)) warnings.push(`Reference Files: ${f} is not listed`);
+  }
+
+  // Stated sizes vs real ones (tokens = tokenCount, as the inventory says)
+  const drift = (stated, actual) => Math.abs(stated - actual) / Math.max(actual, 1);
+  const pct = (stated, actual) => `${stated > actual ? '+' : '-'}${Math.round(drift(stated, actual) * 100)}%`;
+  for (const section of ['Smart Loading', 'Reference Files']) {
+    for (const row of statedSizes(section, skillSection(text, section))) {
+      const fp = join(PKG_ROOT, row.file);
+      if (!existsSync(fp)) continue;
+      const bytes = statSync(fp).size;
+      const tokens = tokenCount(fp);
+      if (row.bytes !== undefined && drift(row.bytes, bytes) > tolerance) {
+        errors.push(`${section}: ${row.file} states ${row.bytes.toLocaleString('en-US')} bytes, actual ${bytes.toLocaleString('en-US')} (${pct(row.bytes, bytes)})`);
+      } else if (drift(row.tokens, tokens) > tolerance) {
+        errors.push(`${section}: ${row.file} states ~${row.tokens.toLocaleString('en-US')} tokens, actual ~${tokens.toLocaleString('en-US')} (${pct(row.tokens, tokens)})`);
+      }
+    }
+  }
+
+  // Version: SKILL.md front matter = package.json, with a CHANGELOG entry
+  const version = splitFrontMatter(text)[0].match(/^version:\s*["']?([^"'\n]+)["']?\s*$/m)?.[1];
+  if (!version) errors.push('SKILL.md front matter has no version');
+  else if (version !== PKG_VERSION) errors.push(`SKILL.md front matter version ${version} \u2260 package.json ${PKG_VERSION}`);
+  const changelog = join(PKG_ROOT, 'CHANGELOG.md');
+  const escaped = PKG_VERSION.replace(/\./g, '\\.');
+  if (!existsSync(changelog)) errors.push('CHANGELOG.md is missing');
+  else if (!new RegExp(`^## \\[${escaped}\\]`, 'm').test(readFileSync(changelog, 'utf-8'))) {
+    errors.push(`CHANGELOG.md has no "## [${PKG_VERSION}]" entry`);
+  }
+
+  const count = new Set(Object.values(referenced).flatMap(s => [...s])).size;
+  return { ok: !errors.length, errors, warnings, referenced: count, shipped: shipped.length };
+}
+
+function showVerifyReport(report, tolerance) {
+  log(`${c.bold}  \uD83D\uDD0E Verifying SKILL.md${c.reset} ${c.dim}(package v${PKG_VERSION}, size tolerance ${Math.round(tolerance * 100)}%)${c.reset}\n`);
+  for (const e of report.errors) fail(e);
+  for (const w of report.warnings) warn(w);
+  if (report.ok) ok(`${report.referenced} referenced files exist, ${report.shipped} shipped .md files reachable, sizes and version in sync`);
+  log(`\n  ${report.errors.length} error(s), ${report.warnings.length} warning(s)\n`);
+}
+
+// --- Uninstall -------------------------------------------------------------------
+
+// Remove dir if it is empty. Returns true when removed.
+function removeEmptyDir(dir) {
+  if (!existsSync(dir) || ctx().dryRemoved.has(dir)) return false;
+  if (!ctx().dryRun) {
+    if (readdirSync(dir).length > 0) return false;
+    rmdirSync(dir);
+    return true;
+  }
+  if (!readdirSync(dir).every(e => ctx().dryRemoved.has(join(dir, e)))) return false;
+  ctx().dryRemoved.add(dir);
+  plan('rmdir', dir);
+  return true;
+}
+
+function uninstall(baseDir, agentName) {
+  const dst = join(baseDir, SKILL_NAME);
+  let n = 0;
+
+  if (existsSync(dst)) {
+    // Only remove files the installer put there — user-added files stay.
+    // The manifest covers files from older versions that the package no longer ships.
+    const manifest = readManifest(dst);
+    const files = new Set([...skillFiles(), ...Object.keys(manifest?.files || {})]);
+    for (const f of files) {
+      const fp = join(dst, f);
+      if (!existsSync(fp)) continue;
+      removeFile(fp);
+      n++;
+    }
+    // .new copies --update wrote beside edited files: ours while they match the manifest
+    const editedNew = [];
+    for (const [f, hash] of Object.entries(manifest?.files || {})) {
+      const fp = join(dst, `${f}.new`);
+      if (!existsSync(fp)) continue;
+      if (hashFile(fp) === hash) { removeFile(fp); n++; } else editedNew.push(`${f}.new`);
+    }
+    if (editedNew.length) warn(`${agentName}: kept ${editedNew.join(', ')} \u2014 edited since --update wrote them`);
+    removeFile(join(dst, MANIFEST));
+    for (const folder of SUBFOLDERS) removeEmptyDir(join(dst, folder));
+    for (const { name } of manifest?.packs || []) removeEmptyDir(join(dst, 'packs', name));
+    removeEmptyDir(join(dst, 'packs'));
+
+    if (removeEmptyDir(dst)) {
+      ok(`${c.bold}${SKILL_NAME}/${c.reset} removed from ${agentName} ${c.dim}(${dst})${c.reset}`);
+    } else {
+      info(`${c.bold}${SKILL_NAME}/${c.reset} ${agentName}: ${n} file(s) removed, kept user files ${c.dim}(${dst})${c.reset}`);
+    }
+    // Backups stay: --rollback can still bring the skill back
+    const backups = listBackups(baseDir);
+    if (backups.length) info(`${agentName}: kept ${backups.length} backup(s) for --rollback ${c.dim}(${join(baseDir, BACKUPS)})${c.reset}`);
+  } else {
+    info(`${SKILL_NAME}/ not installed for ${agentName} ${c.dim}(${dst})${c.reset}`);
+  }
+
+  const humDst = join(baseDir, 'humanizer-backend');
+  const humFile = join(humDst, 'humanizer-backend.md');
+  if (existsSync(humFile)) {
+    removeFile(humFile);
+    n++;
+    if (removeEmptyDir(humDst)) ok(`${c.bold}humanizer-backend/${c.reset} removed from ${agentName} ${c.dim}(${humDst})${c.reset}`);
+    else info(`${c.bold}humanizer-backend/${c.reset} ${agentName}: kept user files ${c.dim}(${humDst})${c.reset}`);
+  }
+
+  return n;
+}
+
+// Remove project-level files written by --init. Files without the generated
+// marker were hand-written (or rewritten) by the user and are left alone.
+function removeProjectFiles(dir, agents) {
+  let removed = 0;
+
+  // 'packages' layout lists every file --init could have written, per-package ones included
+  for (const { agent, file: fp, config } of projectTargets(dir, agents, { layout: 'packages' }).targets) {
+    const targetFile = join(dir, fp);
+    if (!existsSync(targetFile)) continue;
+
+    const text = readFileSync(targetFile, 'utf-8');
+    if (config) {
+      // Shared config file: take out only our entry
+      const rest = config.strip(text);
+      if (rest === text) continue;
+      if (rest) {
+        writeFile(targetFile, rest);
+        ok(`${c.bold}${fp}${c.reset} entry removed, other settings kept ${c.dim}(${agent.name})${c.reset}`);
+        removed++;
+        continue;
+      }
+    } else if (BLOCK_RE.test(text)) {
+      // Keep hand-written sections, drop only the managed block
+      const rest = text.replace(BLOCK_RE, '');
+      if (splitFrontMatter(rest)[1].trim()) {
+        writeFile(targetFile, rest.trimEnd() + '\n');
+        ok(`${c.bold}${fp}${c.reset} managed block removed, hand-written text kept ${c.dim}(${agent.name})${c.reset}`);
+        removed++;
+        continue;
+      }
+    } else if (!text.includes(GENERATED_MARK)) {
+      info(`${c.yellow}${fp}${c.reset} was not generated by the installer \u2014 skipped`);
+      continue;
+    }
+
+    removeFile(targetFile);
+    ok(`${c.bold}${fp}${c.reset} removed ${c.dim}(${agent.name})${c.reset}`);
+    removed++;
+
+    // Clean up directories we created (.roo/rules → .roo), never the project root
+    let d = dirname(targetFile);
+    while (d !== dir && d.startsWith(dir) && removeEmptyDir(d)) d = dirname(d);
+  }
+
+  return removed;
+}
+
+// --- Team Config (.skill-backend.json) ---------------------------------------------
+// Per-repo overrides: pinned stack values, default agents, disabled template
+// sections and extra Never / Always rules. Checked against skill-backend.schema.json.
+
+const TEAM_CONFIG = '.skill-backend.json';
+const TEAM_SCHEMA = join(PKG_ROOT, 'skill-backend.schema.json');
+
+// Minimal TOML for [tool.skillBackend] and its sub-tables: strings, booleans, numbers, string arrays
+function tomlSkillBackend(text) {
+  const config = {};
+  let table = null;
+  const lines = text.split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].replace(/\s+#.*$/, '').trim();
+    const head = line.match(/^\[([^\]]+)\]$/);
+    if (head) {
+      const name = head[1].trim();
+      table = name === 'tool.skillBackend' ? config
+        : name.startsWith('tool.skillBackend.') ? (config[name.slice(18)] ??= {})
+        : null;
+      continue;
+    }
+    const kv = table && line.match(/^([\w-]+)\s*=\s*(.+)$/);
+    if (!kv) continue;
+    let value = kv[2];
+    while (value.startsWith('[') && !value.endsWith(']') && i + 1 < lines.length) value += ' ' + lines[++i].replace(/\s+#.*$/, '').trim();
+    table[kv[1]] = value.startsWith('[')
+      ? [...value.matchAll(/"((?:[^"\\]|\\.)*)"|'([^']*)'/g)].map(m => (m[1] !== undefined ? JSON.parse(`"${m[1]}"`) : m[2]))
+      : /^["']/.test(value) ? unquote(value)
+      : value === 'true' || value === 'false' ? value === 'true'
+      : Number.isNaN(Number(value)) ? value : Number(value);
+  }
+  return Object.keys(config).length ? config : null;
+}
+
+// Errors for value against a JSON schema (the subset skill-backend.schema.json uses)
+function schemaErrors(value, schema, path = '') {
+  const at = path || '(root)';
+  const type = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+  if (schema.type && schema.type !== type && !(schema.type === 'integer' && Number.isInteger(value))) return [`${at}: expected ${schema.type}, got ${type}`];
+  if (type === 'number' && value < (schema.minimum ?? -Infinity)) return [`${at}: must be at least ${schema.minimum}`];
+  if (schema.enum && !schema.enum.includes(value)) return [`${at}: ${JSON.stringify(value)} is not one of ${schema.enum.join(', ')}`];
+  if (type === 'string' && value.length < (schema.minLength || 0)) return [`${at}: must not be empty`];
+  if (type === 'string' && schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) return [`${at}: ${JSON.stringify(value)} does not match ${schema.pattern}`];
+  if (type === 'array' && value.length < (schema.minItems || 0)) return [`${at}: needs at least ${schema.minItems} item(s)`];
+  if (type === 'array') return value.flatMap((v, i) => schemaErrors(v, schema.items || {}, `${at}[${i}]`));
+  if (type !== 'object') return [];
+  const errors = (schema.required || []).filter(key => !(key in value)).map(key => `${path ? `${path}.${key}` : key}: required`);
+  for (const [key, v] of Object.entries(value)) {
+    const keyPath = path ? `${path}.${key}` : key;
+    if (schema.properties?.[key]) errors.push(...schemaErrors(v, schema.properties[key], keyPath));
+    else if (schema.additionalProperties === false) errors.push(`${keyPath}: unknown key (allowed: ${Object.keys(schema.properties || {}).join(', ')})`);
+  }
+  return errors;
+}
+
+// The team config for dir, validated — { source, ...config } or null. Invalid config throws.
+function teamConfig(dir) {
+  dir = resolve(dir);
+  if (ctx().teamConfigs.has(dir)) return ctx().teamConfigs.get(dir);
+
+  let source = null, config = null;
+  if (existsSync(join(dir, TEAM_CONFIG))) {
+    source = TEAM_CONFIG;
+    try { config = JSON.parse(readFileSync(join(dir, TEAM_CONFIG), 'utf-8')); } catch (e) { throw new Error(`${TEAM_CONFIG}: invalid JSON \u2014 ${e.message}`); }
+  } else if (readJsonc(join(dir, 'package.json'))?.skillBackend !== undefined) {
+    source = 'package.json "skillBackend"';
+    config = readJsonc(join(dir, 'package.json')).skillBackend;
+  } else if (existsSync(join(dir, 'pyproject.toml'))) {
+    config = tomlSkillBackend(readFileSync(join(dir, 'pyproject.toml'), 'utf-8'));
+    if (config) source = 'pyproject.toml [tool.skillBackend]';
+  }
+
+  if (config !== null) {
+    const errors = schemaErrors(config, JSON.parse(readFileSync(TEAM_SCHEMA, 'utf-8')));
+    if (errors.length) {
+      throw new Error(`Invalid team config in ${join(dir, source)}:\n${errors.map(e => `      - ${e}`).join('\n')}\n    Schema: ${TEAM_SCHEMA}`);
+    }
+  }
+  const team = config && { source, ...config };
+  ctx().teamConfigs.set(dir, team);
+  return team;
+}
+
+// Team Never rules join the template's Never list (CLAUDE.md: Do NOT); Always rules
+// become their own section right after it
+function addTeamRules(body, { never = [], always = [] } = {}) {
+  if (!never.length && !always.length) return body;
+  const heading = ['Never', 'Do NOT'].find(h => sectionRe(h).test(body));
+  const extra = [
+    ...(never.length && heading ? never.map(r => `- ${r}`) : []),
+    ...(never.length && !heading ? ['## Never', ...never.map(r => `- ${r}`)] : []),
+    ...(always.length ? [...(heading || never.length ? [''] : []), '## Always', ...always.map(r => `- ${r}`)] : []),
+  ].join('\n');
+  if (!heading) return `${body.trimEnd()}\n\n${extra}\n`;
+  return body.replace(sectionRe(heading), section => {
+    const text = section.trimEnd();
+    return `${text}\n${extra}${section.slice(text.length) || '\n'}`;
+  });
+}
+
+// --- Project Auto-Detect ---------------------------------------------------------
+
+function detectProject(dir) {
+  const has = f => existsSync(join(dir, f));
+  const readJson = f => { try { return JSON.parse(readFileSync(join(dir, f), 'utf-8')); } catch { return null; } };
+  const readText = f => { try { return readFileSync(join(dir, f), 'utf-8'); } catch { return ''; } };
+
+  let framework = '[NestJS / Next.js / Express / Django / FastAPI / Spring Boot / Laravel / Go / Rust]';
+  let language  = '[TypeScript / JavaScript / Python / Java / Kotlin / PHP / Go / Ruby / Rust]';
+  let orm       = '[Prisma / TypeORM / Sequelize / Drizzle / Mongoose / SQLAlchemy / Django ORM / Spring Data / Eloquent]';
+  let apiStyle  = 'REST';
+  let pkgMgr    = '[npm / yarn / bun / pnpm / pip / poetry / maven / gradle / composer / go mod / bundler / cargo]';
+
+  // --- Detect framework + language ---
+
+  // NestJS
+  if (has('nest-cli.json')) {
+    framework = 'NestJS'; language = 'TypeScript';
+  } else if (has('package.json')) {
+    const pkg = readJson('package.json');
+    const deps = { ...(pkg?.dependencies || {}), ...(pkg?.devDependencies || {}) };
+
+    if (deps['@nestjs/core'])              { framework = 'NestJS'; language = 'TypeScript'; }
+    else if (deps['next'] || has('next.config.js') || has('next.config.mjs') || has('next.config.ts'))
+                                           { framework = 'Next.js'; language = deps['typescript'] || has('tsconfig.json') ? 'TypeScript' : 'JavaScript'; }
+    else if (deps['nuxt'] || has('nuxt.config.js') || has('nuxt.config.ts'))
+                                           { framework = 'Nuxt.js'; language = deps['typescript'] || has('tsconfig.json') ? 'TypeScript' : 'JavaScript'; }
+    else if (deps['vue'])                  { framework = 'Vue.js'; language = deps['typescript'] || has('tsconfig.json') ? 'TypeScript' : 'JavaScript'; }
+    else if (deps['express'])              { framework = 'Express'; language = deps['typescript'] || has('tsconfig.json') ? 'TypeScript' : 'JavaScript'; }
+    else if (deps['fastify'])              { framework = 'Fastify'; language = deps['typescript'] || has('tsconfig.json') ? 'TypeScript' : 'JavaScript'; }
+    else {
+      language = deps['typescript'] || has('tsconfig.json') ? 'TypeScript' : 'JavaScript';
+    }
+
+    // ORM detection (Node.js)
+    if (deps['@prisma/client'])            { orm = 'Prisma'; }
+    else if (deps['typeorm'])              { orm = 'TypeORM'; }
+    else if (deps['sequelize'])            { orm = 'Sequelize'; }
+    else if (deps['drizzle-orm'])          { orm = 'Drizzle'; }
+    else if (deps['mongoose'])             { orm = 'Mongoose'; }
+
+    // API style detection (Node.js)
+    if (deps['@nestjs/graphql'] || deps['apollo-server'] || deps['@apollo/server'])
+                                           { apiStyle = 'GraphQL'; }
+
+    // Package manager detection (Node.js)
+    if (has('bun.lockb'))                  { pkgMgr = 'bun'; }
+    else if (has('pnpm-lock.yaml'))        { pkgMgr = 'pnpm'; }
+    else if (has('yarn.lock'))             { pkgMgr = 'yarn'; }
+    else if (has('package-lock.json'))     { pkgMgr = 'npm'; }
+
+  } else if (has('manage.py')) {
+    // Django / FastAPI / Flask (Python)
+    const managePy = readText('manage.py');
+    const requirements = readText('requirements.txt');
+    const pyproject = readText('pyproject.toml');
+    const allPyDeps = requirements + '\n' + pyproject;
+
+    if (managePy.includes('django') || allPyDeps.includes('django'))
+                                           { framework = 'Django'; language = 'Python'; }
+    else if (allPyDeps.includes('fastapi')){ framework = 'FastAPI'; language = 'Python'; }
+    else if (allPyDeps.includes('flask'))  { framework = 'Flask'; language = 'Python'; }
+    else                                   { framework = 'Django'; language = 'Python'; }
+
+    // ORM detection (Python)
+    if (allPyDeps.includes('sqlalchemy'))  { orm = 'SQLAlchemy'; }
+    else if (allPyDeps.includes('django')) { orm = 'Django ORM'; }
+
+    // Package manager (Python)
+    if (has('poetry.lock'))                { pkgMgr = 'poetry'; }
+    else if (has('requirements.txt'))      { pkgMgr = 'pip'; }
+
+  } else if (has('requirements.txt') || has('pyproject.toml')) {
+    // Python projects without manage.py
+    const requirements = readText('requirements.txt');
+    const pyproject = readText('pyproject.toml');
+    const allPyDeps = requirements + '\n' + pyproject;
+
+    if (allPyDeps.includes('fastapi'))     { framework = 'FastAPI'; language = 'Python'; }
+    else if (allPyDeps.includes('flask'))  { framework = 'Flask'; language = 'Python'; }
+    else if (allPyDeps.includes('django')) { framework = 'Django'; language = 'Python'; }
+    else                                   { framework = 'Python'; language = 'Python'; }
+
+    // ORM detection (Python)
+    if (allPyDeps.includes('sqlalchemy'))  { orm = 'SQLAlchemy'; }
+
+    // Package manager (Python)
+    if (has('poetry.lock'))                { pkgMgr = 'poetry'; }
+    else                                   { pkgMgr = 'pip'; }
+
+  } else if (has('pom.xml')) {
+    // Spring Boot (Maven)
+    const pom = readText('pom.xml');
+    if (pom.includes('spring-boot'))       { framework = 'Spring Boot'; }
+    else                                   { framework = 'Java (Maven)'; }
+    language = 'Java';
+
+    // ORM detection (Java)
+    if (pom.includes('spring-data-jpa'))   { orm = 'Spring Data'; }
+
+    pkgMgr = 'maven';
+
+  } else if (has('build.gradle') || has('build.gradle.kts')) {
+    // Spring Boot (Gradle)
+    const gradle = readText(has('build.gradle.kts') ? 'build.gradle.kts' : 'build.gradle');
+    if (gradle.includes('spring-boot'))    { framework = 'Spring Boot'; }
+    else                                   { framework = has('build.gradle.kts') ? 'Kotlin (Gradle)' : 'Java (Gradle)'; }
+    language = has('build.gradle.kts') ? 'Kotlin' : 'Java';
+
+    // ORM detection (Java/Kotlin)
+    if (gradle.includes('spring-data-jpa')){ orm = 'Spring Data'; }
+
+    pkgMgr = 'gradle';
+
+  } else if (has('composer.json')) {
+    // Laravel / PHP
+    const composer = readJson('composer.json');
+    const deps = { ...(composer?.require || {}), ...(composer?.['require-dev'] || {}) };
+
+    if (deps['laravel/framework'])         { framework = 'Laravel'; }
+    else                                   { framework = 'PHP'; }
+    language = 'PHP';
+
+    // ORM detection (PHP)
+    if (deps['illuminate/database'] || deps['laravel/framework'])
+                                           { orm = 'Eloquent'; }
+
+    pkgMgr = has('composer.lock') ? 'composer' : 'composer';
+
+  } else if (has('go.mod')) {
+    framework = 'Go'; language = 'Go';
+    pkgMgr = 'go mod';
+
+  } else if (has('Gemfile')) {
+    const gemfile = readText('Gemfile');
+    if (gemfile.includes('rails'))         { framework = 'Ruby on Rails'; }
+    else                                   { framework = 'Ruby'; }
+    language = 'Ruby';
+    pkgMgr = has('Gemfile.lock') ? 'bundler' : 'bundler';
+
+  } else if (has('Cargo.toml')) {
+    framework = 'Rust'; language = 'Rust';
+    pkgMgr = has('Cargo.lock') ? 'cargo' : 'cargo';
+  }
+
+  // gRPC detection (cross-language)
+  if (apiStyle === 'REST') {
+    // Check for .proto files or grpc in common config files
+    const checkFiles = ['package.json', 'requirements.txt', 'pyproject.toml', 'pom.xml',
+                        'build.gradle', 'build.gradle.kts', 'go.mod', 'Cargo.toml'];
+    for (const f of checkFiles) {
+      const content = readText(f);
+      if (content.includes('.proto') || content.includes('grpc')) {
+        apiStyle = 'gRPC';
+        break;
+      }
+    }
+  }
+
+  // Team config pins win over detection
+  const project = { framework, language, orm, apiStyle, pkgMgr, ...detectInfra(dir), ...teamConfig(dir)?.project };
+  project.commands = detectCommands(dir, project);
+  project.conventions = detectConventions(dir, project);
+  return project;
+}
+
+// --- Command Detect (quality gate) ----------------------------------------------
+
+const COMMAND_LABELS = { test: 'Test', lint: 'Lint', typecheck: 'Type check', build: 'Build', migrate: 'Migrate', dev: 'Dev server' };
+
+// package.json script names per command, first match wins
+const SCRIPT_NAMES = {
+  test:      ['test', 'test:unit'],
+  lint:      ['lint', 'lint:check', 'eslint'],
+  typecheck: ['typecheck', 'type-check', 'check-types', 'types', 'tsc'],
+  build:     ['build'],
+  migrate:   ['migrate', 'db:migrate', 'migration:run', 'migrate:dev', 'prisma:migrate', 'db:push'],
+  dev:       ['dev', 'start:dev', 'serve', 'start'],
+};
+
+// Makefile target names per command
+const MAKE_TARGETS = {
+  test:      ['test'],
+  lint:      ['lint'],
+  typecheck: ['typecheck', 'type-check', 'mypy', 'check'],
+  build:     ['build'],
+  migrate:   ['migrate', 'db-migrate'],
+  dev:       ['dev', 'run', 'serve', 'start'],
+};
+
+// How the detected package manager runs a package.json script / a local binary
+function runScript(pkgMgr, script) {
+  if (pkgMgr === 'pnpm' || pkgMgr === 'yarn') return `${pkgMgr} ${script}`;
+  if (pkgMgr === 'bun') return `bun run ${script}`;
+  return script === 'test' || script === 'start' ? `npm ${script}` : `npm run ${script}`;
+}
+
+function runBinary(pkgMgr, bin) {
+  if (pkgMgr === 'pnpm') return `pnpm exec ${bin}`;
+  if (pkgMgr === 'yarn') return `yarn ${bin}`;
+  if (pkgMgr === 'bun')  return `bunx ${bin}`;
+  return `npx ${bin}`;
+}
+
+// Test / lint / type-check / build / migrate / dev commands, each a string or null.
+// Declared entry points (package.json, composer.json scripts, Makefile) win over
+// commands inferred from tool config and build wrappers.
+function detectCommands(dir, p) {
+  const has = f => existsSync(join(dir, f));
+  const readJson = f => { try { return JSON.parse(readFileSync(join(dir, f), 'utf-8')); } catch { return null; } };
+  const readText = f => { try { return readFileSync(join(dir, f), 'utf-8'); } catch { return ''; } };
+  const cmds = { test: null, lint: null, typecheck: null, build: null, migrate: null, dev: null };
+  const set = (key, cmd) => { if (!cmds[key] && cmd) cmds[key] = cmd; };
+  const deps = dependencyNames(dir);
+
+  // package.json scripts
+  const pkg = readJson('package.json');
+  if (pkg) {
+    const mgr = ['npm', 'yarn', 'pnpm', 'bun'].includes(p.pkgMgr) ? p.pkgMgr : 'npm';
+    const scripts = pkg.scripts || {};
+    for (const [key, names] of Object.entries(SCRIPT_NAMES)) {
+      const name = names.find(n => scripts[n] && !/no test specified/.test(scripts[n]));
+      if (name) set(key, runScript(mgr, name));
+    }
+    if (has('tsconfig.json') && deps.has('typescript')) set('typecheck', runBinary(mgr, 'tsc --noEmit'));
+    if (deps.has('prisma') || deps.has('@prisma/client')) set('migrate', runBinary(mgr, 'prisma migrate dev'));
+    if (deps.has('drizzle-kit')) set('migrate', runBinary(mgr, 'drizzle-kit migrate'));
+  }
+
+  // composer.json scripts
+  const composer = readJson('composer.json');
+  for (const [key, names] of Object.entries({ ...SCRIPT_NAMES, typecheck: ['analyse', 'analyze', 'phpstan', 'psalm'] })) {
+    const name = names.find(n => composer?.scripts?.[n]);
+    if (name) set(key, `composer ${name}`);
+  }
+
+  // Makefile targets
+  const targets = new Set([...readText('Makefile').matchAll(/^([A-Za-z0-9_.-]+)\s*:(?!=)/gm)].map(m => m[1]));
+  for (const [key, names] of Object.entries(MAKE_TARGETS)) {
+    const name = names.find(n => targets.has(n));
+    if (name) set(key, `make ${name}`);
+  }
+
+  // Python — pyproject tool sections / config files, run through the project's runner
+  if (p.language === 'Python') {
+    const pyproject = readText('pyproject.toml');
+    const run = has('uv.lock') ? 'uv run ' : p.pkgMgr === 'poetry' ? 'poetry run ' : '';
+    const tool = name => pyproject.includes(`[tool.${name}`);
+    if (tool('pytest') || has('pytest.ini') || has('conftest.py') || deps.has('pytest')) set('test', `${run}pytest`);
+    if (tool('ruff') || has('ruff.toml') || deps.has('ruff')) set('lint', `${run}ruff check .`);
+    else if (has('.flake8') || deps.has('flake8')) set('lint', `${run}flake8`);
+    if (tool('mypy') || has('mypy.ini') || deps.has('mypy')) set('typecheck', `${run}mypy .`);
+    else if (tool('pyright') || has('pyrightconfig.json')) set('typecheck', `${run}pyright`);
+    if (has('manage.py')) {
+      set('test', `${run}python manage.py test`);
+      set('migrate', `${run}python manage.py migrate`);
+      set('dev', `${run}python manage.py runserver`);
+    }
+    if (has('alembic.ini')) set('migrate', `${run}alembic upgrade head`);
+    if (p.framework === 'FastAPI') {
+      const app = ['app/main.py', 'src/main.py', 'main.py'].find(has);
+      if (app) set('dev', `${run}uvicorn ${app.replace(/\.py$/, '').replace(/\//g, '.')}:app --reload`);
+    }
+  }
+
+  // Java / Kotlin — Gradle / Maven (wrapper when committed)
+  if (p.pkgMgr === 'gradle') {
+    const g = has('gradlew') ? './gradlew' : 'gradle';
+    const build = readText('build.gradle') + readText('build.gradle.kts');
+    set('test', `${g} test`);
+    if (build.includes('spotless')) set('lint', `${g} spotlessCheck`);
+    else if (build.includes('checkstyle')) set('lint', `${g} checkstyleMain`);
+    set('typecheck', `${g} compile${p.language === 'Kotlin' ? 'Kotlin' : 'Java'}`);
+    set('build', `${g} build`);
+    if (build.includes('flyway')) set('migrate', `${g} flywayMigrate`);
+    if (p.framework === 'Spring Boot') set('dev', `${g} bootRun`);
+  } else if (p.pkgMgr === 'maven') {
+    const m = has('mvnw') ? './mvnw' : 'mvn';
+    const pom = readText('pom.xml');
+    set('test', `${m} test`);
+    if (pom.includes('spotless')) set('lint', `${m} spotless:check`);
+    else if (pom.includes('maven-checkstyle-plugin')) set('lint', `${m} checkstyle:check`);
+    set('typecheck', `${m} compile`);
+    set('build', `${m} package`);
+    if (pom.includes('flyway')) set('migrate', `${m} flyway:migrate`);
+    else if (pom.includes('liquibase')) set('migrate', `${m} liquibase:update`);
+    if (p.framework === 'Spring Boot') set('dev', `${m} spring-boot:run`);
+  }
+
+  // PHP / Laravel
+  if (p.language === 'PHP') {
+    if (deps.has('laravel/pint')) set('lint', 'vendor/bin/pint --test');
+    else if (deps.has('friendsofphp/php-cs-fixer')) set('lint', 'vendor/bin/php-cs-fixer fix --dry-run');
+    if (deps.has('phpstan/phpstan') || deps.has('larastan/larastan') || deps.has('nunomaduro/larastan')) set('typecheck', 'vendor/bin/phpstan analyse');
+    if (has('artisan')) {
+      set('test', 'php artisan test');
+      set('migrate', 'php artisan migrate');
+      set('dev', 'php artisan serve');
+    } else if (deps.has('phpunit/phpunit')) {
+      set('test', 'vendor/bin/phpunit');
+    }
+  }
+
+  // Go
+  if (p.language === 'Go') {
+    set('test', 'go test ./...');
+    set('lint', has('.golangci.yml') || has('.golangci.yaml') ? 'golangci-lint run' : 'go vet ./...');
+    set('typecheck', 'go build ./...');
+    set('build', 'go build ./...');
+    set('dev', 'go run .');
+  }
+
+  // Rust
+  if (p.language === 'Rust') {
+    set('test', 'cargo test');
+    set('lint', 'cargo clippy -- -D warnings');
+    set('typecheck', 'cargo check');
+    set('build', 'cargo build --release');
+    if (deps.has('sqlx')) set('migrate', 'sqlx migrate run');
+    set('dev', 'cargo run');
+  }
+
+  // Ruby / Rails
+  if (p.language === 'Ruby') {
+    set('test', has('spec') ? 'bundle exec rspec' : has('bin/rails') ? 'bin/rails test' : null);
+    if (deps.has('rubocop') || has('.rubocop.yml')) set('lint', 'bundle exec rubocop');
+    if (has('bin/rails')) {
+      set('migrate', 'bin/rails db:migrate');
+      set('dev', 'bin/rails server');
+    }
+  }
+
+  return cmds;
+}
+
+// "Quality Gate Commands" bullets for generated rules files
+function commandsLines(p) {
+  const lines = ['Use these exact commands. Test, lint and type check must pass before saying "done".'];
+  const found = Object.entries(COMMAND_LABELS).filter(([key]) => p.commands?.[key]);
+  for (const [key, label] of found) lines.push(`- ${label}: \`${p.commands[key]}\``);
+  if (!found.length) lines.push('- [No commands detected \u2014 add your test / lint / type-check commands here]');
+  return lines.join('\n');
+}
+
+// --- Convention Detect -----------------------------------------------------------
+
+const SOURCE_EXTS = {
+  TypeScript: ['.ts', '.tsx', '.mts', '.cts'],
+  JavaScript: ['.js', '.jsx', '.mjs', '.cjs'],
+  Python:     ['.py'],
+  Java:       ['.java'],
+  Kotlin:     ['.kt'],
+  PHP:        ['.php'],
+  Go:         ['.go'],
+  Ruby:       ['.rb'],
+  Rust:       ['.rs'],
+};
+
+const TEST_PATTERNS = [
+  [/\.spec\.(\w+)$/,           m => `*.spec.${m[1]}`],
+  [/\.test\.(\w+)$/,           m => `*.test.${m[1]}`],
+  [/^test_.*\.py$/,            () => 'test_*.py'],
+  [/_test\.(py|go|rb)$/,       m => `*_test.${m[1]}`],
+  [/_spec\.rb$/,               () => '*_spec.rb'],
+  [/Tests?\.(java|kt|php)$/,   m => `*Test.${m[1]}`],
+];
+const TEST_DIRS = new Set(['test', 'tests', 'spec', '__tests__', 'e2e']);
+
+// Layer folder names, lowercased (Laravel uses app/Http/Controllers)
+const LAYER_DIRS = new Set(['controllers', 'controller', 'services', 'service', 'repositories', 'repository', 'models', 'model',
+  'routes', 'routers', 'handlers', 'handler', 'entities', 'usecases', 'use-cases', 'domain', 'infrastructure', 'middlewares',
+  'middleware', 'views', 'serializers', 'schemas', 'dto', 'dtos']);
+
+// Request → business logic → data access, for the "Dependencies flow" line
+const ROLE_TIERS = [
+  ['controller', 'router', 'route', 'resolver', 'view', 'handler', 'gateway'],
+  ['service', 'usecase'],
+  ['repository', 'model', 'entity'],
+];
+
+// First files under dir, breadth-limited and sorted so results are stable
+function sampleFiles(dir, limit = 3000) {
+  const out = [];
+  const walk = (rel, depth) => {
+    if (out.length >= limit || depth > 6) return;
+    let entries;
+    try { entries = readdirSync(join(dir, rel), { withFileTypes: true }); } catch { return; }
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    for (const e of entries) {
+      if (e.name.startsWith('.') || SKIP_DIRS.has(e.name) || e.name === 'coverage') continue;
+      const path = rel ? `${rel}/${e.name}` : e.name;
+      if (e.isDirectory()) walk(path, depth + 1);
+      else out.push(path);
+      if (out.length >= limit) return;
+    }
+  };
+  walk('', 0);
+  return out;
+}
+
+const baseName = f => f.slice(f.lastIndexOf('/') + 1);
+const dirName  = f => (f.includes('/') ? f.slice(0, f.lastIndexOf('/')) : '.');
+const singular = r => r.replace(/ies$/, 'y').replace(/s$/, '');
+
+// What a file is for, from its name: users.controller.ts, UserService.java,
+// views.py, orders_controller.rb → controller / service / view / controller
+function fileRole(base) {
+  const m = base.match(/\.(controller|service|module|repository|resolver|entity|dto|router|routes?|model|schema|handler|guard|middleware|gateway|usecase)s?\.\w+$/i)
+    || base.match(/(Controller|Service|Repository|Entity|Handler|Resource|Mapper)\.(?:java|kt|php)$/)
+    || base.match(/^(models|views|serializers|services|repository|repositories|schemas|routers?|handlers?|controllers?|service|model|routes?)\.(?:py|go|rs)$/)
+    || base.match(/_(controller|service|model|job|serializer|repository|handler)\.(?:rb|go|py)$/);
+  return m ? singular(m[1].toLowerCase()) : null;
+}
+
+function fileNamingStyle(base) {
+  const stem = base.split('.')[0];
+  if (/^[a-z0-9]+(-[a-z0-9]+)+$/.test(stem)) return 'kebab-case';
+  if (/^[a-z0-9]+(_[a-z0-9]+)+$/.test(stem)) return 'snake_case';
+  if (/^[A-Z][a-z0-9]+([A-Z][a-z0-9]*)*$/.test(stem)) return 'PascalCase';
+  if (/^[a-z][a-z0-9]*[A-Z][A-Za-z0-9]*$/.test(stem)) return 'camelCase';
+  return null; // single lowercase word — fits every style
+}
+
+// Most common key of a Map(key → [examples]), with its first example
+function majority(map, min = 1) {
+  let best = null;
+  for (const [key, examples] of map) if (!best || examples.length > best[1].length) best = [key, examples];
+  return best && best[1].length >= min ? { value: best[0], example: best[1][0], count: best[1].length } : null;
+}
+
+const push = (map, key, value) => map.set(key, [...(map.get(key) || []), value]);
+
+// tsconfig/jsconfig are JSONC — drop comments and trailing commas before parsing
+function readJsonc(fp) {
+  try {
+    const text = readFileSync(fp, 'utf-8')
+      .replace(/\/\*[\s\S]*?\*\//g, '')
+      .replace(/^\s*\/\/.*$/gm, '')
+      .replace(/,(\s*[}\]])/g, '$1');
+    return JSON.parse(text);
+  } catch { return null; }
+}
+
+// Conventions the codebase actually follows, each with the file it was seen in.
+// Anything that can't be inferred is null and the templates fall back to generic advice.
+function detectConventions(dir, p) {
+  const exts = SOURCE_EXTS[p.language] || Object.values(SOURCE_EXTS).flat();
+  const files = sampleFiles(dir).filter(f => exts.some(e => f.endsWith(e)) && !f.endsWith('.d.ts'));
+  const testOf = f => TEST_PATTERNS.map(([re, label]) => { const m = baseName(f).match(re); return m && label(m); }).find(Boolean);
+  const inTestDir = f => f.split('/').slice(0, -1).some(seg => TEST_DIRS.has(seg));
+  const tests   = files.filter(f => testOf(f) || inTestDir(f));
+  const sources = files.filter(f => !tests.includes(f));
+
+  // Import alias — tsconfig/jsconfig "paths"
+  let importAlias = null;
+  for (const cfg of ['tsconfig.json', 'jsconfig.json']) {
+    const paths = readJsonc(join(dir, cfg))?.compilerOptions?.paths;
+    const key = paths && Object.keys(paths).find(k => k.endsWith('/*'));
+    if (!key) continue;
+    const alias  = key.slice(0, -1);                       // '~/', '@/', '@app/'
+    const target = String(paths[key][0] || '').replace(/^\.\//, '').replace(/\*$/, '');
+    const example = sources.slice(0, 300).find(f => {
+      try {
+        const text = readFileSync(join(dir, f), 'utf-8');
+        return text.includes(`'${alias}`) || text.includes(`"${alias}`);
+      } catch { return false; }
+    });
+    importAlias = { alias, target, config: cfg, example: example || null };
+    break;
+  }
+
+  // File naming style + role suffixes (users.service.ts)
+  const styles = new Map();
+  for (const f of sources) { const st = fileNamingStyle(baseName(f)); if (st) push(styles, st, f); }
+  const fileNaming = majority(styles, 3);
+  if (fileNaming) {
+    const suffixed = sources.filter(f => /\.[a-z-]+\.\w+$/.test(baseName(f)) && fileRole(baseName(f)));
+    fileNaming.roleSuffix = suffixed.length >= Math.max(3, sources.length * 0.2);
+  }
+
+  // Tests — suffix and location
+  let testing = null;
+  if (tests.length) {
+    const suffixes = new Map();
+    for (const f of tests) { const label = testOf(f); if (label) push(suffixes, label, f); }
+    const suffix = majority(suffixes);
+    const separate = tests.filter(inTestDir);
+    const dirs = new Map();
+    for (const f of separate) {
+      const segs = f.split('/');
+      push(dirs, segs.slice(0, segs.findIndex(seg => TEST_DIRS.has(seg)) + 1).join('/') + '/', f);
+    }
+    testing = {
+      suffix: suffix?.value || null,
+      location: separate.length > tests.length / 2 ? 'separate' : 'colocated',
+      dir: majority(dirs)?.value || null,
+      example: suffix?.example || tests[0],
+    };
+  }
+
+  // Roles per directory → feature modules vs layer folders
+  const rolesByDir = new Map();
+  const roleFiles = new Map();
+  for (const f of sources) {
+    const role = fileRole(baseName(f));
+    if (!role) continue;
+    push(roleFiles, role, f);
+    const d = dirName(f);
+    rolesByDir.set(d, new Set([...(rolesByDir.get(d) || []), role]));
+  }
+
+  let layout = null;
+  const featureDirs = [...rolesByDir].filter(([, roles]) => roles.size >= 2).map(([d]) => d);
+  if (featureDirs.length >= 2) {
+    const parents = new Map();
+    for (const d of featureDirs) push(parents, dirName(d), d);
+    const parent = majority(parents);
+    const example = parent.example;
+    const order = ROLE_TIERS.flat();
+    const rank  = r => (order.includes(r) ? order.indexOf(r) : order.length);
+    layout = { kind: 'feature', root: parent.value, example, roles: [...rolesByDir.get(example)].sort((a, b) => rank(a) - rank(b)) };
+  } else {
+    const dirs = new Set(files.map(dirName).flatMap(d => d.split('/').map((_, i, segs) => segs.slice(0, i + 1).join('/'))));
+    const layersByParent = new Map();
+    for (const d of dirs) {
+      if (LAYER_DIRS.has(baseName(d).toLowerCase())) push(layersByParent, dirName(d), `${baseName(d)}/`);
+    }
+    const parent = majority(layersByParent, 2);
+    if (parent) {
+      const layers = layersByParent.get(parent.value);
+      const prefix = parent.value === '.' ? '' : `${parent.value}/`;
+      const example = sources.find(f => layers.some(l => f.startsWith(prefix + l))) || null;
+      layout = { kind: 'layer', root: parent.value, layers, example };
+    }
+  }
+
+  // Dependencies flow — most common role of each tier that the project uses
+  let flow = null;
+  const tiers = ROLE_TIERS
+    .map(tier => tier.filter(r => roleFiles.has(r)).sort((a, b) => roleFiles.get(b).length - roleFiles.get(a).length)[0])
+    .filter(Boolean);
+  if (tiers.length >= 2) flow = { roles: tiers, example: roleFiles.get(tiers[Math.min(1, tiers.length - 1)])[0] };
+
+  return { importAlias, fileNaming, testing, layout, flow };
+}
+
+const cap = w => w[0].toUpperCase() + w.slice(1);
+const seen = f => (f ? ` (e.g. \`${f}\`)` : '');
+
+// Identifier naming is a language convention, not something to sample
+function namingLines(p) {
+  if (['Python', 'Ruby', 'Rust'].includes(p.language)) {
+    return ['- snake_case for functions, variables, methods', '- PascalCase for classes' + (p.language === 'Rust' ? ', structs, enums, traits' : '')];
+  }
+  if (p.language === 'Go') {
+    return ['- camelCase for unexported identifiers, PascalCase for exported ones', '- Short lowercase package names, no underscores'];
+  }
+  return ['- camelCase for functions, variables, methods', '- PascalCase for classes, interfaces, types'];
+}
+
+// "Code Style" bullets: naming, file names, imports, tests
+function codeStyleLines(p) {
+  const conv  = p.conventions || {};
+  const lines = namingLines(p);
+
+  if (conv.fileNaming) {
+    const suffix = conv.fileNaming.roleSuffix ? ' with a role suffix (`.service`, `.controller`, ...)' : '';
+    lines.push(`- ${conv.fileNaming.value} file names${suffix}${seen(conv.fileNaming.example)}`);
+  }
+
+  if (conv.importAlias) {
+    const { alias, target, config, example } = conv.importAlias;
+    lines.push(`- Imports: use the \`${alias}\` alias for \`${target || './'}\` from ${config} paths${seen(example)}`);
+  } else if (['TypeScript', 'JavaScript'].includes(p.language)) {
+    lines.push('- Relative imports \u2014 no path alias configured in tsconfig.json');
+  } else if (!isDetected(p.language)) {
+    lines.push('- Absolute imports with @/ alias (if configured)');
+  }
+
+  if (conv.testing) {
+    const { suffix, location, dir, example } = conv.testing;
+    const what  = suffix ? `\`${suffix}\`` : 'test files';
+    const where = location === 'colocated' ? 'next to the code they test' : `under \`${dir || 'tests/'}\``;
+    lines.push(`- Tests: ${what} ${where}${seen(example)}`);
+  }
+
+  return lines.join('\n');
+}
+
+// "Architecture" bullets: dependency flow, single responsibility, folder layout
+function architectureLines(p) {
+  const conv  = p.conventions || {};
+  const lines = [];
+
+  if (conv.flow) lines.push(`- Dependencies flow inward: ${conv.flow.roles.map(cap).join(' \u2192 ')}${seen(conv.flow.example)}`);
+  else lines.push('- Dependencies flow inward: Controller \u2192 Service \u2192 Repository');
+
+  lines.push('- Single responsibility per file (max 300 lines)');
+
+  if (conv.layout?.kind === 'feature') {
+    const root = conv.layout.root === '.' ? 'the project root' : `\`${conv.layout.root}/\``;
+    lines.push(`- Feature modules under ${root} \u2014 each feature keeps its ${conv.layout.roles.join(', ')} together (e.g. \`${conv.layout.example}/\`)`);
+  } else if (conv.layout?.kind === 'layer') {
+    const root = conv.layout.root === '.' ? 'the project root' : `\`${conv.layout.root}/\``;
+    lines.push(`- Layer folders under ${root}: ${conv.layout.layers.map(l => `\`${l}\``).join(', ')}${seen(conv.layout.example)}`);
+  } else {
+    lines.push('- Feature-based or module-based organization preferred');
+  }
+
+  return lines.join('\n');
+}
+
+// --- Infra Detect (database / cache / queue) --------------------------------------
+
+// Dependency names from every manifest we know, lowercased
+function dependencyNames(dir) {
+  const readJson = f => { try { return JSON.parse(readFileSync(join(dir, f), 'utf-8')); } catch { return null; } };
+  const readText = f => { try { return readFileSync(join(dir, f), 'utf-8'); } catch { return ''; } };
+  const names = new Set();
+  const add = n => n && names.add(n.toLowerCase());
+
+  const pkg = readJson('package.json');
+  Object.keys({ ...(pkg?.dependencies || {}), ...(pkg?.devDependencies || {}) }).forEach(add);
+
+  const composer = readJson('composer.json');
+  Object.keys({ ...(composer?.require || {}), ...(composer?.['require-dev'] || {}) }).forEach(add);
+
+  for (const f of ['requirements.txt', 'requirements-dev.txt', 'requirements/base.txt', 'requirements/prod.txt']) {
+    for (const line of readText(f).split('\n')) add(line.match(/^\s*([A-Za-z0-9_.-]+)/)?.[1]);
+  }
+
+  // pyproject: PEP 621 "name>=1.0" strings and Poetry `name = "^1.0"` keys
+  const pyproject = readText('pyproject.toml');
+  for (const m of pyproject.matchAll(/["']([A-Za-z][A-Za-z0-9_.-]*)(?:\[[^\]]*\])?\s*(?:[<>=~!;][^"']*)?["']/g)) add(m[1]);
+  for (const m of pyproject.matchAll(/^([A-Za-z][A-Za-z0-9_.-]*)\s*=\s*[{"']/gm)) add(m[1]);
+
+  for (const m of readText('go.mod').matchAll(/^\s*(?:require\s+)?([a-z0-9.-]+\.[a-z]+\/[^\s]+)\s+v/gm)) add(m[1]);
+  for (const m of readText('Gemfile').matchAll(/^\s*gem\s+["']([^"']+)["']/gm)) add(m[1]);
+  for (const m of readText('Cargo.toml').matchAll(/^([A-Za-z0-9_-]+)\s*=/gm)) add(m[1]);
+  for (const m of readText('pom.xml').matchAll(/<artifactId>([^<]+)<\/artifactId>/g)) add(m[1]);
+  for (const f of ['build.gradle', 'build.gradle.kts']) {
+    for (const m of readText(f).matchAll(/["'][\w.-]+:([\w.-]+)(?::[^"']*)?["']/g)) add(m[1]);
+  }
+
+  return names;
+}
+
+const DB_DEPS = {
+  'PostgreSQL': ['pg', 'postgres', 'pg-promise', 'psycopg', 'psycopg2', 'psycopg2-binary', 'asyncpg', 'postgresql', 'r2dbc-postgresql',
+                 'github.com/lib/pq', 'github.com/jackc/pgx/v4', 'github.com/jackc/pgx/v5', 'tokio-postgres'],
+  'MySQL':      ['mysql', 'mysql2', 'mysqlclient', 'pymysql', 'aiomysql', 'mysql-connector-java', 'mysql-connector-j', 'github.com/go-sql-driver/mysql'],
+  'MariaDB':    ['mariadb', 'mariadb-java-client'],
+  'MongoDB':    ['mongodb', 'mongoose', 'pymongo', 'motor', 'mongoid', 'spring-boot-starter-data-mongodb', 'go.mongodb.org/mongo-driver', 'mongodb/laravel-mongodb'],
+  'SQLite':     ['sqlite3', 'better-sqlite3', 'rusqlite', 'github.com/mattn/go-sqlite3'],
+  'SQL Server': ['mssql', 'tedious', 'pyodbc', 'mssql-jdbc'],
+};
+
+const CACHE_DEPS = {
+  'Redis':     ['redis', 'ioredis', 'django-redis', 'aioredis', 'predis/predis', 'spring-boot-starter-data-redis', 'github.com/redis/go-redis/v9',
+                'github.com/go-redis/redis/v8', 'redis-rs', 'cache-manager-redis-store', '@keyv/redis'],
+  'Memcached': ['memcached', 'pymemcache', 'python-memcached', 'dalli', 'github.com/bradfitz/gomemcache'],
+};
+
+const QUEUE_DEPS = {
+  'BullMQ':   ['bullmq', '@nestjs/bullmq'],
+  'Bull':     ['bull', '@nestjs/bull'],
+  'Celery':   ['celery'],
+  'Sidekiq':  ['sidekiq'],
+  'Kafka':    ['kafkajs', 'confluent-kafka', 'kafka-python', 'aiokafka', 'spring-kafka', 'github.com/segmentio/kafka-go', 'github.com/ibm/sarama',
+               'github.com/shopify/sarama', 'rdkafka', 'ruby-kafka', 'karafka'],
+  'RabbitMQ': ['amqplib', 'amqp-connection-manager', '@golevelup/nestjs-rabbitmq', 'pika', 'aio-pika', 'spring-boot-starter-amqp', 'spring-rabbit',
+               'php-amqplib/php-amqplib', 'github.com/rabbitmq/amqp091-go', 'github.com/streadway/amqp', 'bunny', 'lapin'],
+};
+
+// docker-compose image name (registry/owner and tag stripped) → [kind, value]
+const IMAGES = [
+  [/^(postgres|postgresql|postgis|timescaledb.*)$/, 'database', 'PostgreSQL'],
+  [/^mysql$/,                                      'database', 'MySQL'],
+  [/^mariadb$/,                                    'database', 'MariaDB'],
+  [/^mongo(db)?$/,                                 'database', 'MongoDB'],
+  [/^(mssql|server)$/,                             'database', 'SQL Server'],
+  [/^(redis|redis-stack|valkey)$/,                 'cache',    'Redis'],
+  [/^memcached$/,                                  'cache',    'Memcached'],
+  [/^rabbitmq$/,                                   'queue',    'RabbitMQ'],
+  [/^(kafka|cp-kafka|redpanda)$/,                  'queue',    'Kafka'],
+];
+
+// Connection URL scheme → database
+function schemeDatabase(scheme) {
+  scheme = scheme.toLowerCase();
+  if (scheme.startsWith('postgres') || scheme === 'pgsql') return 'PostgreSQL';
+  if (scheme.startsWith('mysql'))   return 'MySQL';
+  if (scheme.startsWith('mariadb')) return 'MariaDB';
+  if (scheme.startsWith('mongodb')) return 'MongoDB';
+  if (scheme.startsWith('sqlite'))  return 'SQLite';
+  if (scheme === 'sqlserver' || scheme === 'mssql' || scheme === 'sqlsrv') return 'SQL Server';
+  return null;
+}
+
+const PRISMA_PROVIDERS = { postgresql: 'PostgreSQL', mysql: 'MySQL', sqlite: 'SQLite', sqlserver: 'SQL Server', mongodb: 'MongoDB', cockroachdb: 'CockroachDB' };
+
+// Which database, cache and queue the project runs on. Sources, strongest first:
+// Prisma datasource, .env.example URLs, docker-compose images, driver dependencies.
+function detectInfra(dir) {
+  const readText = f => { try { return readFileSync(join(dir, f), 'utf-8'); } catch { return ''; } };
+  const found = { database: [], cache: [], queue: [] };
+  const add = (kind, v) => v && !found[kind].includes(v) && found[kind].push(v);
+
+  // Prisma datasource provider
+  const prisma = readText('prisma/schema.prisma') || readText('schema.prisma');
+  const provider = prisma.match(/datasource\s+\w+\s*\{[^}]*provider\s*=\s*"(\w+)"/)?.[1];
+  add('database', PRISMA_PROVIDERS[provider]);
+
+  // Env examples — never the real .env
+  const env = ['.env.example', '.env.sample', '.env.template', '.env.dist'].map(readText).join('\n');
+  for (const m of env.matchAll(/^\s*(?:export\s+)?([A-Z0-9_]+)\s*=\s*["']?([^\s"'#]*)/gm)) {
+    const [, key, value] = m;
+    const scheme = value.match(/^([a-z][a-z0-9+]*):/i)?.[1] || '';
+    if (/^(DATABASE_URL|DB_URL|DB_URI|SQLALCHEMY_DATABASE_URI|MONGO(DB)?_(URI|URL))$/.test(key)) add('database', schemeDatabase(scheme));
+    else if (key === 'DB_CONNECTION' || key === 'DB_ENGINE') add('database', schemeDatabase(value.split('.').pop()));
+    else if (/^REDIS_(URL|HOST)$/.test(key)) add('cache', 'Redis');
+    else if (/^MEMCACHED?_(URL|HOST|SERVERS)$/.test(key)) add('cache', 'Memcached');
+    else if (/^(RABBITMQ|AMQP)_(URL|URI|HOST)$/.test(key) || scheme.startsWith('amqp')) add('queue', 'RabbitMQ');
+    else if (/^KAFKA_(BROKERS?|BOOTSTRAP_SERVERS)$/.test(key)) add('queue', 'Kafka');
+  }
+
+  // docker-compose services
+  const composeFiles = readdirSync(dir).filter(f => /^(docker-)?compose[\w.-]*\.ya?ml$/.test(f));
+  for (const f of composeFiles) {
+    for (const m of readText(f).matchAll(/^\s*image:\s*["']?([^\s"'#]+)/gm)) {
+      const name = m[1].split('/').pop().split(/[:@]/)[0].toLowerCase();
+      const hit = IMAGES.find(([re]) => re.test(name));
+      if (hit) add(hit[1], hit[2]);
+    }
+  }
+
+  // Driver / client dependencies
+  const deps = dependencyNames(dir);
+  const scan = (kind, table) => {
+    for (const [value, names] of Object.entries(table)) if (names.some(n => deps.has(n))) add(kind, value);
+  };
+  scan('database', DB_DEPS);
+  scan('cache', CACHE_DEPS);
+  scan('queue', QUEUE_DEPS);
+
+  return {
+    database: found.database.join(' \u00B7 ') || '[PostgreSQL / MySQL / MongoDB / SQLite / SQL Server]',
+    cache:    found.cache.join(' \u00B7 ')    || '[Redis / Memcached / in-memory / none]',
+    queue:    found.queue.join(' \u00B7 ')    || '[BullMQ / Celery / Sidekiq / Kafka / RabbitMQ / none]',
+  };
+}
+
+// --- Workspace Detect ------------------------------------------------------------
+
+const isDetected = v => typeof v === 'string' && !v.startsWith('[');
+const has = (dir, f) => existsSync(join(dir, f));
+
+// Never descend into these when expanding workspace globs
+const SKIP_DIRS = new Set(['node_modules', '.git', 'dist', 'build', 'target', 'vendor', '.venv', 'venv', '__pycache__']);
+
+// Expand a workspace pattern ('apps/*', 'packages/**', 'services/api') to dirs
+function expandPattern(dir, pattern) {
+  const parts = pattern.replace(/^\.\//, '').replace(/\/+$/, '').split('/').filter(Boolean);
+  const subdirs = d => {
+    try {
+      return readdirSync(join(dir, d), { withFileTypes: true })
+        .filter(e => e.isDirectory() && !e.name.startsWith('.') && !SKIP_DIRS.has(e.name))
+        .map(e => (d ? `${d}/${e.name}` : e.name));
+    } catch { return []; }
+  };
+
+  let current = [''];
+  for (const part of parts) {
+    const next = [];
+    for (const d of current) {
+      if (part === '**') {
+        // Any depth (bounded) — workspaces are rarely more than a few levels down
+        let level = [d];
+        for (let depth = 0; depth < 4 && level.length; depth++) {
+          next.push(...level);
+          level = level.flatMap(subdirs);
+        }
+      } else if (part.includes('*')) {
+        const re = new RegExp('^' + part.split('*').map(x => x.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+        next.push(...subdirs(d).filter(x => re.test(x.slice(x.lastIndexOf('/') + 1))));
+      } else {
+        const x = d ? `${d}/${part}` : part;
+        if (existsSync(join(dir, x))) next.push(x);
+      }
+    }
+    current = next;
+  }
+  return current.filter(Boolean);
+}
+
+// Workspace patterns declared by the repo's tooling
+function workspacePatterns(dir) {
+  const readJson = f => { try { return JSON.parse(readFileSync(join(dir, f), 'utf-8')); } catch { return null; } };
+  const readText = f => { try { return readFileSync(join(dir, f), 'utf-8'); } catch { return ''; } };
+  const include = [];
+  const exclude = [];
+  const add = p => (p.startsWith('!') ? exclude.push(p.slice(1)) : include.push(p));
+
+  // pnpm-workspace.yaml — "packages:" list
+  const pnpm = readText('pnpm-workspace.yaml');
+  const pnpmList = pnpm.match(/^packages:\s*\n((?:[ \t]*(?:-.*|#.*)?\n?)*)/m);
+  if (pnpmList) {
+    for (const line of pnpmList[1].split('\n')) {
+      const m = line.match(/^\s*-\s*['"]?([^'"#]+?)['"]?\s*(#.*)?$/);
+      if (m) add(m[1]);
+    }
+  }
+
+  // npm / yarn / bun — package.json "workspaces"
+  const ws = readJson('package.json')?.workspaces;
+  for (const p of (Array.isArray(ws) ? ws : ws?.packages || [])) add(p);
+
+  // Nx — workspaceLayout or the default apps/ + libs/
+  const nx = readJson('nx.json');
+  if (nx) {
+    add(`${nx.workspaceLayout?.appsDir || 'apps'}/*`);
+    add(`${nx.workspaceLayout?.libsDir || 'libs'}/*`);
+  }
+
+  // Turborepo relies on the package manager's workspaces; fall back to its conventions
+  if (has(dir, 'turbo.json') && !include.length) ['apps/*', 'packages/*', 'services/*'].forEach(add);
+
+  // Cargo — [workspace] members = [...]
+  const cargo = readText('Cargo.toml');
+  const members = cargo.match(/\[workspace\][\s\S]*?members\s*=\s*\[([\s\S]*?)\]/);
+  if (members) for (const m of members[1].matchAll(/["']([^"']+)["']/g)) add(m[1]);
+
+  // Go — go.work "use ./svc" or "use ( ./a ./b )"
+  const goWork = readText('go.work');
+  for (const m of goWork.matchAll(/^use\s+(?:\(([\s\S]*?)\)|(\S+))/gm)) {
+    for (const p of (m[1] || m[2]).split(/\s+/)) if (p && !p.startsWith('//')) add(p);
+  }
+
+  return { include, exclude };
+}
+
+// Find workspace packages and detect each one. Packages without a detected
+// framework (shared libs, configs) are left out — rules are per service.
+function detectWorkspaces(dir, root = detectProject(dir)) {
+  const { include, exclude } = workspacePatterns(dir);
+  if (!include.length) return [];
+
+  const excluded = new Set(exclude.flatMap(p => expandPattern(dir, p)));
+  const paths = [...new Set(include.flatMap(p => expandPattern(dir, p)))]
+    .filter(p => !excluded.has(p) && p !== '.')
+    .sort();
+
+  const workspaces = [];
+  for (const path of paths) {
+    const project = detectProject(join(dir, path));
+    if (!isDetected(project.framework)) continue;
+    // Hoisted lockfile lives at the root
+    if (!isDetected(project.pkgMgr)) {
+      project.pkgMgr = root.pkgMgr;
+      project.commands = detectCommands(join(dir, path), project);
+    }
+    workspaces.push({ path, project });
+  }
+  return workspaces;
+}
+
+// Root-level summary of a monorepo: the root's own values where detected,
+// otherwise the distinct values found across its services
+function monorepoProject(root, workspaces) {
+  const uniq = vals => [...new Set(vals.filter(isDetected))].join(' \u00B7 ');
+  const pick = key => (isDetected(root[key]) && key !== 'apiStyle' ? root[key] : uniq(workspaces.map(w => w.project[key])) || root[key]);
+  // Infra is often declared at the root (docker-compose) and per service (drivers)
+  const union = key => uniq([root[key], ...workspaces.map(w => w.project[key])]) || root[key];
+  return {
+    framework: isDetected(root.framework) ? root.framework : `Monorepo (${uniq(workspaces.map(w => w.project.framework))})`,
+    // a root that is only a workspace manifest (package.json "workspaces") says nothing about the code
+    language:  uniq([isDetected(root.framework) && root.language, ...workspaces.map(w => w.project.language)]) || root.language,
+    orm:       pick('orm'),
+    apiStyle:  pick('apiStyle'),
+    pkgMgr:    root.pkgMgr,
+    database:  union('database'),
+    cache:     union('cache'),
+    queue:     union('queue'),
+    commands:  root.commands,
+  };
+}
+
+// The root project (monorepo summary when it has packages) and its packages
+function detect(dir) {
+  const root = detectProject(dir);
+  const workspaces = detectWorkspaces(dir, root);
+  return { dir, project: workspaces.length ? monorepoProject(root, workspaces) : root, workspaces, team: teamConfig(dir) };
+}
+
+const DETECT_LABELS = [['orm', 'ORM'], ['database', 'Database'], ['cache', 'Cache'], ['queue', 'Queue'], ['apiStyle', 'API style'], ['pkgMgr', 'Package manager']];
+
+function showDetection({ project, workspaces, team }, details = false) {
+  log(`${c.bold}  \uD83D\uDD0D Detected:${c.reset} ${c.cyan}${project.framework}${c.reset} (${project.language})`);
+  if (details) {
+    for (const [key, label] of DETECT_LABELS) {
+      if (isDetected(project[key])) log(`     ${c.dim}${label.padEnd(16)}${c.reset} ${project[key]}`);
+    }
+    if (team?.project) log(`     ${c.dim}Pinned by ${team.source}: ${Object.keys(team.project).join(', ')}${c.reset}`);
+  }
+  for (const ws of workspaces) {
+    log(`     ${c.dim}\u2514 ${ws.path.padEnd(28)}${c.reset} ${ws.project.framework} ${c.dim}(${ws.project.language})${c.reset}`);
+  }
+  log('');
+}
+
+// One subsection per service for the root-level rules file
+function serviceLines(workspaces) {
+  const lines = [];
+  for (const { path, project: p } of workspaces) {
+    if (lines.length) lines.push('');
+    lines.push(`### ${path} \u2014 ${p.framework}`);
+    if (isDetected(p.language)) lines.push(`- Language: ${p.language}`);
+    if (isDetected(p.orm))      lines.push(`- ORM: ${p.orm}`);
+    if (isDetected(p.database)) lines.push(`- Database: ${p.database}`);
+    if (isDetected(p.cache))    lines.push(`- Cache: ${p.cache}`);
+    if (isDetected(p.queue))    lines.push(`- Queue: ${p.queue}`);
+    lines.push(`- API Style: ${p.apiStyle}`);
+    if (isDetected(p.pkgMgr))   lines.push(`- Package Manager: ${p.pkgMgr}`);
+    const cmds = Object.entries(COMMAND_LABELS).filter(([key]) => p.commands?.[key]);
+    if (cmds.length) lines.push(`- Commands (run in \`${path}\`): ${cmds.map(([key, label]) => `${label.toLowerCase()} \`${p.commands[key]}\``).join(', ')}`);
+  }
+  return lines.join('\n');
+}
+
+// --- Project-Level File Templates ------------------------------------------------
+
+// Every generated file carries this line — used to tell our files from the user's
+const GENERATED_MARK = 'Generated by @buivietphi/skill-backend-mt';
+
+// Generated content lives between these markers. Anything outside is the user's
+// and survives --init --refresh and --uninstall --init.
+const BLOCK_BEGIN = '<!-- skill-backend-mt:begin \u2014 managed by --init --refresh, edits inside are overwritten -->';
+const BLOCK_END   = '<!-- skill-backend-mt:end -->';
+const BLOCK_RE    = /<!-- skill-backend-mt:begin[^\n]*-->\n[\s\S]*?<!-- skill-backend-mt:end -->\n?/;
+
+// Split leading YAML front matter (Kiro, Cursor .mdc) — it must stay first in the file
+function splitFrontMatter(text) {
+  const m = text.match(/^---\n[\s\S]*?\n---\n+/);
+  return m ? [m[0], text.slice(m[0].length)] : ['', text];
+}
+
+const managedBlock = body => `${BLOCK_BEGIN}\n${body.trimEnd()}\n${BLOCK_END}\n`;
+
+// Full file for a fresh --init: front matter, then the managed block
+function renderManaged(content) {
+  const [fm, body] = splitFrontMatter(content);
+  return fm + managedBlock(body);
+}
+
+// Put freshly generated content into an existing file:
+// - has a managed block      → replace just the block
+// - generated before markers → whole file is ours, re-render it
+// - hand-written             → append a managed block after the user's text
+// Front matter in content is generated too (.mdc globs, descriptions) and replaces the file's.
+function mergeManaged(existing, content) {
+  const [fm, body] = splitFrontMatter(content);
+  const block = managedBlock(body);
+  if (!BLOCK_RE.test(existing) && existing.includes(GENERATED_MARK)) return renderManaged(content);
+  const [ownFm, rest] = splitFrontMatter(existing);
+  const head = fm || ownFm;
+  if (BLOCK_RE.test(rest)) return head + rest.replace(BLOCK_RE, () => block);
+  return `${head}${rest.trim() ? `${rest.trimEnd()}\n\n` : ''}${block}`;
+}
+
+// Default template: the fenced block in shared/agent-rules-template.md
+const RULES_TEMPLATE  = join(PKG_ROOT, 'shared', 'agent-rules-template.md');
+const CLAUDE_TEMPLATE = join(PKG_ROOT, 'shared', 'claude-md-template.md');
+
+// Each agent only adds its wrapper around the shared template: file location,
+// title, optional front matter and where its installed skill lives. Claude
+// brings its own template (and extra values) for CLAUDE.md.
+const PROJECT_AGENTS = {
+  claude: {
+    name: 'Claude Code',
+    file: 'CLAUDE.md',
+    dir:  '.',
+    title: 'CLAUDE.md',
+    template: CLAUDE_TEMPLATE,
+    vars: claudeVars,
+    nested: true, // also reads CLAUDE.md in subfolders it works in
+  },
+
+  // Cross-agent AGENTS.md (Codex, Antigravity, Gemini CLI, ...)
+  agents: {
+    name: 'Cross-agent',
+    file: 'AGENTS.md',
+    dir:  '.',
+    title: 'Agent Instructions',
+    nested: true, // the closest AGENTS.md to the edited file wins
+  },
+
+  cursor: {
+    name: 'Cursor',
+    file: '.cursorrules',
+    dir:  '.',
+    title: 'Cursor Rules',
+    skillPath: '~/.cursor/skills/skill-backend-mt/',
+  },
+
+  copilot: {
+    name: 'GitHub Copilot',
+    file: 'copilot-instructions.md',
+    dir:  '.github',
+    title: 'Copilot Instructions',
+    skillPath: '~/.copilot/skills/skill-backend-mt/',
+  },
+
+  cline: {
+    name: 'Cline',
+    file: 'backend-rules.md',
+    dir:  '.clinerules',
+    title: 'Backend Rules',
+    skillPath: '~/.cline/skills/skill-backend-mt/',
+  },
+
+  roocode: {
+    name: 'Roo Code',
+    file: 'backend-rules.md',
+    dir:  '.roo/rules',
+    title: 'Backend Rules',
+    skillPath: '~/.roo/skills/skill-backend-mt/',
+  },
+
+  kilocode: {
+    name: 'Kilo Code',
+    file: 'backend-rules.md',
+    dir:  '.kilocode/rules',
+    title: 'Backend Rules',
+    skillPath: '~/.kilocode/skills/skill-backend-mt/',
+  },
+
+  kiro: {
+    name: 'Kiro',
+    file: 'backend-rules.md',
+    dir:  '.kiro/steering',
+    title: 'Backend Rules',
+    frontMatter: 'inclusion: always',
+  },
+
+  windsurf: {
+    name: 'Windsurf',
+    file: '.windsurfrules',
+    dir:  '.',
+    title: 'Windsurf Rules',
+    skillPath: '~/.windsurf/skills/skill-backend-mt/',
+  },
+
+  zed: {
+    name: 'Zed',
+    file: '.rules',
+    dir:  '.',
+    title: 'Zed Rules',
+  },
+
+  // Aider reads CONVENTIONS.md only when .aider.conf.yml lists it under read:
+  aider: {
+    name: 'Aider',
+    file: 'CONVENTIONS.md',
+    dir:  '.',
+    title: 'Conventions',
+    config: { file: '.aider.conf.yml', merge: conf => addYamlRead(conf, 'CONVENTIONS.md'), strip: conf => removeYamlRead(conf, 'CONVENTIONS.md') },
+  },
+
+  continue: {
+    name: 'Continue',
+    file: 'backend-rules.md',
+    dir:  '.continue/rules',
+    title: 'Backend Rules',
+    frontMatter: 'name: Backend rules\ndescription: Stack, commands and rules for this backend project\nalwaysApply: true',
+  },
+
+  junie: {
+    name: 'Junie',
+    file: 'guidelines.md',
+    dir:  '.junie',
+    title: 'Guidelines',
+  },
+
+  gemini: {
+    name: 'Gemini CLI',
+    file: 'GEMINI.md',
+    dir:  '.',
+    title: 'Gemini Context',
+    skillPath: '~/.gemini/skills/skill-backend-mt/',
+  },
+
+  // Cursor's current format: several .mdc files, each scoped by globs
+  'cursor-mdc': {
+    name: 'Cursor (.mdc)',
+    file: 'backend.mdc',
+    dir:  '.cursor/rules',
+    title: 'Cursor Rules',
+    skillPath: '~/.cursor/skills/skill-backend-mt/',
+    scoped: true,
+    nested: true, // .cursor/rules in subfolders apply to that folder
+  },
+};
+
+// The template body: the fenced block under "## Template Content" when there is
+// one (the shipped file documents itself around it), otherwise the whole file.
+function loadTemplate(path = RULES_TEMPLATE) {
+  const text = readFileSync(path, 'utf-8');
+  const fenced = text.match(/^(`{3,})markdown\n([\s\S]*?)\n\1\s*$/m);
+  return fenced ? fenced[2] + '\n' : text;
+}
+
+// {KEY} placeholders and line-level {#if KEY} / {#if !KEY} ... {/if} blocks.
+// A value counts as set when it is non-empty and not an undetected "[A / B]" hint.
+function renderTemplate(template, vars) {
+  const isSet = key => Boolean(vars[key]) && isDetected(String(vars[key]));
+  return template
+    .replace(/^[ \t]*\{#if (!?)([A-Z_]+)\}[ \t]*\n([\s\S]*?)^[ \t]*\{\/if\}[ \t]*(?:\n|$)/gm,
+      (_, not, key, body) => (isSet(key) !== Boolean(not) ? body : ''))
+    .replace(/\{([A-Z_]+)\}/g, (m, key) => (key in vars ? String(vars[key]) : m))
+    .replace(/\n{3,}/g, '\n\n');
+}
+
+// Framework file, its ✅ / ⛔ best-practice block (if it has one) and its
+// language's section of the Per-Language Traps in shared/code-review.md
+const FRAMEWORK_GUIDES = {
+  'NestJS':        ['nodejs/nestjs.md',       null,                  'Node.js / TypeScript'],
+  'Next.js':       ['nodejs/nextjs.md',       null,                  'Node.js / TypeScript'],
+  'Express':       ['nodejs/express.md',      null,                  'Node.js / TypeScript'],
+  'Fastify':       ['nodejs/express.md',      null,                  'Node.js / TypeScript'],
+  'Vue.js':        ['nodejs/vuejs.md',        null,                  null],
+  'Nuxt.js':       ['nodejs/vuejs.md',        null,                  'Node.js / TypeScript'],
+  'FastAPI':       ['python/fastapi.md',      null,                  'Python (Django / FastAPI / Flask)'],
+  'Django':        ['python/django.md',       null,                  'Python (Django / FastAPI / Flask)'],
+  'Spring Boot':   ['java/spring-boot.md',    null,                  'Java / Spring Boot'],
+  'Laravel':       ['php/laravel.md',         null,                  'PHP / Laravel'],
+  'Go':            ['others/go-ruby-rust.md', 'Go Best Practices',   'Go'],
+  'Ruby on Rails': ['others/go-ruby-rust.md', null,                  null],
+  'Rust':          ['others/go-ruby-rust.md', 'Rust Best Practices', 'Rust'],
+};
+const CODE_REVIEW = 'shared/code-review.md';
+
+// Stacks a trap line can be about — lines about another framework or ORM are left out
+const TRAP_STACKS = [...Object.keys(FRAMEWORK_GUIDES), 'Flask', 'Prisma', 'TypeORM', 'Sequelize', 'Mongoose', 'SQLAlchemy', 'Eloquent'];
+
+// First fenced block after a ### heading → its lines
+function fencedLines(rel, heading) {
+  if (!heading || !existsSync(join(PKG_ROOT, rel))) return [];
+  const text = readFileSync(join(PKG_ROOT, rel), 'utf-8');
+  const start = text.search(new RegExp(`^#{2,3} ${escapeRe(heading)}\\s*$`, 'm'));
+  if (start < 0) return [];
+  return (text.slice(start).match(/```\w*\n([\s\S]*?)```/)?.[1] || '').split('\n');
+}
+
+// Hard bans (⛔) and conventions (✅) from the framework file, known traps (□) from
+// shared/code-review.md — only the shared ones and those about this framework / ORM
+function frameworkRules({ framework, orm } = {}) {
+  const [source, practices, traps] = FRAMEWORK_GUIDES[framework] || [];
+  const rules = { source, never: [], always: [], traps: [] };
+  if (!source) return rules;
+
+  for (const line of fencedLines(source, practices)) {
+    const m = line.match(/^(\u2705|\u26D4)\s*(.+)$/);
+    if (m) rules[m[1] === '\u26D4' ? 'never' : 'always'].push(m[2].trim());
+  }
+  const other = new RegExp(`^(${TRAP_STACKS.filter(n => n !== framework && n !== orm).map(escapeRe).join('|')})\\b`);
+  for (const line of fencedLines(CODE_REVIEW, traps)) {
+    const m = line.match(/^\s*\u25A1\s*(.+)$/);
+    if (m && !other.test(m[1])) rules.traps.push(m[1].trim());
+  }
+  return rules;
+}
+
+function frameworkRuleLines(rules, { never = rules.never.length, traps = rules.traps.length, always = rules.always.length } = {}) {
+  const keep = { never: rules.never.slice(0, never), traps: rules.traps.slice(0, traps), always: rules.always.slice(0, always) };
+  if (!keep.never.length && !keep.traps.length && !keep.always.length) return '';
+  const lines = [keep.traps.length
+    ? `From \`${rules.source}\` and \`${CODE_REVIEW}\` \u2014 load them for full patterns.`
+    : `From \`${rules.source}\` \u2014 load it for full patterns.`];
+  if (keep.never.length) lines.push('', 'Hard bans:', ...keep.never.map(r => `- ${r}`));
+  if (keep.traps.length) lines.push('', 'Known traps:', ...keep.traps.map(r => `- ${r}`));
+  if (keep.always.length) lines.push('', 'Conventions:', ...keep.always.map(r => `- ${r}`));
+  return lines.join('\n');
+}
+
+function templateVars(agent, p, workspaces = []) {
+  return {
+    FRAMEWORK:   p.framework,
+    LANGUAGE:    p.language,
+    ORM:         p.orm,
+    DATABASE:    p.database,
+    CACHE:       p.cache,
+    QUEUE:       p.queue,
+    API_STYLE:   p.apiStyle,
+    PKG_MANAGER: p.pkgMgr,
+    QUALITY_GATE_COMMANDS: commandsLines(p),
+    CODE_STYLE:   codeStyleLines(p),
+    ARCHITECTURE: architectureLines(p),
+    FRAMEWORK_RULES: '',
+    SERVICES:     workspaces.length ? serviceLines(workspaces) + '\n' : '',
+    TITLE:      agent.title,
+    AGENT:      agent.name,
+    SKILL_PATH: agent.skillPath || '',
+  };
+}
+
+// Generic sections dropped first when a rules file is over --budget
+const BUDGET_DROP = ['Performance', 'Testing', 'Database'];
+
+const escapeRe = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const sectionRe = heading => new RegExp(`^## ${heading}\\b[^\\n]*\\n[\\s\\S]*?(?=^## |^<!--|(?![\\s\\S]))`, 'm');
+
+function dropSection(text, heading) {
+  return text.replace(sectionRe(heading), '');
+}
+
+// One team config `disable` entry (case-insensitive): the ## section or ### item with
+// that heading, else every bullet containing the text ("Controller → Service → Repository")
+function disableRule(text, entry) {
+  const heading = escapeRe(entry);
+  const section = new RegExp(`^## ${heading}(?!\\w)[^\\n]*\\n[\\s\\S]*?(?=^## |^<!--|(?![\\s\\S]))`, 'mi');
+  if (section.test(text)) return text.replace(section, '');
+  const item = new RegExp(`^### ${heading}(?!\\w)[^\\n]*\\n[\\s\\S]*?(?=^##|^<!--|(?![\\s\\S]))`, 'mi');
+  if (item.test(text)) return text.replace(item, '');
+  const needle = entry.toLowerCase();
+  return text.split('\n').filter(l => !(/^\s*(?:[-*]|\d+\.)\s/.test(l) && l.toLowerCase().includes(needle))).join('\n');
+}
+
+// One agent's rules file: its front matter, then the rendered template.
+// With a budget, trims until the written file (markers included) fits:
+// generic sections, then framework conventions, then known traps, then framework bans.
+// team: the repo's team config — its disabled sections / items and Never / Always rules.
+function renderAgentRules(agent, p, { dir, workspaces = [], template = loadTemplate(), budget, omit = [], team } = {}) {
+  const vars = { ...templateVars(agent, p, workspaces), ...agent.vars?.(p, dir) };
+  if (agent.template) template = loadTemplate(agent.template);
+  const rules = frameworkRules(p);
+  const keep = { never: rules.never.length, traps: rules.traps.length, always: rules.always.length };
+  let dropped = 0;
+
+  for (;;) {
+    vars.FRAMEWORK_RULES = frameworkRuleLines(rules, keep);
+    let body = renderTemplate(template, vars);
+    // team entries first: a heading they name is still there to match
+    for (const entry of team?.disable || []) body = disableRule(body, entry);
+    for (const heading of [...omit, ...BUDGET_DROP.slice(0, dropped)]) body = dropSection(body, escapeRe(heading));
+    body = addTeamRules(body, team?.rules);
+    const text = agent.frontMatter ? `---\n${agent.frontMatter}\n---\n\n${body}` : body;
+
+    if (!budget || estimateTokens(renderManaged(text)) <= budget) return text;
+    if (dropped < BUDGET_DROP.length) dropped++;
+    else if (keep.always) keep.always--;
+    else if (keep.traps) keep.traps--;
+    else if (keep.never) keep.never--;
+    else return text;
+  }
+}
+
+// Template sections Cursor gets as their own glob-scoped .mdc files
+const RULE_SCOPES = [
+  { key: 'security', heading: 'Security', file: 'security.mdc', title: 'Security Rules',
+    description: 'Security rules for controllers, routes and request handlers',
+    roles: ['controller', 'router', 'route', 'handler', 'resolver', 'gateway', 'guard', 'middleware', 'view'],
+    dirs: ['controllers', 'controller', 'routes', 'routers', 'handlers', 'middleware', 'middlewares'] },
+  { key: 'database', heading: 'Database', file: 'database.mdc', title: 'Database Rules',
+    description: 'Database rules for repositories, models, migrations and schema files',
+    roles: ['repository', 'model', 'entity', 'schema'],
+    dirs: ['repositories', 'repository', 'models', 'entities', 'migrations', 'migration'] },
+  { key: 'testing', heading: 'Testing', file: 'testing.mdc', title: 'Test Rules',
+    description: 'Testing rules for unit and integration tests' },
+];
+
+// Schema / migration locations, used when they exist
+const DB_PATHS = [
+  ['prisma/schema.prisma', 'prisma/schema.prisma'], ['prisma/migrations', 'prisma/migrations/**'],
+  ['migrations', 'migrations/**'], ['alembic', 'alembic/**'], ['db/migrate', 'db/migrate/**'],
+  ['db/schema.rb', 'db/schema.rb'], ['database/migrations', 'database/migrations/**'],
+  ['src/main/resources/db/migration', 'src/main/resources/db/migration/**'], ['drizzle', 'drizzle/**'],
+];
+
+// Used when the sample has no matching files yet
+const DEFAULT_GLOBS = {
+  security: ext => [`**/controllers/**`, `**/routes/**`, `**/*.controller.${ext}`, `**/*.routes.${ext}`],
+  database: ext => [`**/repositories/**`, `**/models/**`, `**/migrations/**`, `**/*.repository.${ext}`],
+  testing:  ext => ({
+    py: ['**/test_*.py', '**/*_test.py'], go: ['**/*_test.go'], rb: ['spec/**', 'test/**'],
+    java: ['src/test/**'], kt: ['src/test/**'], php: ['tests/**'], rs: ['tests/**', '**/tests.rs'],
+  }[ext] || [`**/*.spec.${ext}`, `**/*.test.${ext}`]),
+};
+
+const SOURCE_ROOTS = new Set(['src', 'app', 'lib', 'internal', 'pkg', 'cmd']);
+
+// Glob matching every file named like this one: users.controller.ts → *.controller.ts,
+// UserController.java → *Controller.java, orders_controller.rb → *_controller.rb
+function namePattern(base) {
+  const m = base.match(/^[^.]+(\.[a-z-]+\.\w+)$/)
+    || base.match(/[a-z0-9]((?:Controller|Service|Repository|Entity|Handler|Resource|Mapper|Test)\.(?:java|kt|php))$/)
+    || base.match(/^[a-z0-9]+(_[a-z]+\.(?:rb|go|py))$/);
+  return m ? `*${m[1]}` : base;
+}
+
+// A file's glob: its layer folder when it sits in one (src/controllers/**),
+// otherwise its name pattern under the source root (src/**/*.controller.ts)
+function fileGlob(f, dirs = []) {
+  const parent = dirName(f);
+  if (dirs.includes(baseName(parent).toLowerCase())) return `${parent}/**`;
+  const segs = f.split('/');
+  const rootAt = segs.slice(0, -1).findLastIndex(seg => SOURCE_ROOTS.has(seg));
+  const prefix = rootAt >= 0 ? `${segs.slice(0, rootAt + 1).join('/')}/` : '';
+  return `${prefix}**/${namePattern(baseName(f))}`;
+}
+
+// Globs per rule scope, from the project's own files and language extension
+function scopeGlobs(dir, p) {
+  const exts = SOURCE_EXTS[p.language] || Object.values(SOURCE_EXTS).flat();
+  const ext = (SOURCE_EXTS[p.language]?.[0] || '.ts').slice(1);
+  const files = sampleFiles(dir).filter(f => exts.some(e => f.endsWith(e)) && !f.endsWith('.d.ts'));
+  const isTest = f => TEST_PATTERNS.some(([re]) => re.test(baseName(f))) || f.split('/').slice(0, -1).some(seg => TEST_DIRS.has(seg));
+  const out = {};
+
+  for (const scope of RULE_SCOPES) {
+    const globs = new Set();
+    if (scope.key === 'testing') {
+      for (const f of files.filter(isTest)) {
+        const inDir = f.split('/').findIndex(seg => TEST_DIRS.has(seg));
+        const label = TEST_PATTERNS.map(([re, name]) => { const m = baseName(f).match(re); return m && name(m); }).find(Boolean);
+        globs.add(label ? `**/${label}` : `${f.split('/').slice(0, inDir + 1).join('/')}/**`);
+      }
+    } else {
+      for (const f of files.filter(f => !isTest(f))) {
+        const role = fileRole(baseName(f));
+        if (scope.roles.includes(role) || scope.dirs.includes(baseName(dirName(f)).toLowerCase())) globs.add(fileGlob(f, scope.dirs));
+      }
+      if (scope.key === 'database') {
+        for (const [path, glob] of DB_PATHS) if (existsSync(join(dir, path))) globs.add(glob);
+      }
+    }
+    out[scope.key] = globs.size ? [...globs].sort().slice(0, 12) : DEFAULT_GLOBS[scope.key](ext);
+  }
+  return out;
+}
+
+const mdc = (description, globs, alwaysApply, body) =>
+  `---\ndescription: ${description}\nglobs:${globs ? ` ${globs}` : ''}\nalwaysApply: ${alwaysApply}\n---\n\n${body}`;
+
+// Rules files for one agent: usually one; scoped agents (Cursor .mdc) get the
+// general rules always applied, plus one glob-scoped file per RULE_SCOPES entry
+function agentRuleFiles(agent, p, dir, opts) {
+  opts = { ...opts, dir };
+  if (!agent.scoped) {
+    const files = [{ file: agent.file, generated: renderAgentRules(agent, p, opts) }];
+    if (agent.config) files.push({ file: agent.config.file, config: agent.config });
+    return files;
+  }
+
+  const omit = RULE_SCOPES.map(scope => scope.heading);
+  const general = renderAgentRules(agent, p, { ...opts, omit });
+  const files = [{ file: agent.file, generated: mdc(`Backend rules for this ${p.framework} project`, '', true, general) }];
+
+  const full = renderAgentRules(agent, p, { ...opts, budget: undefined });
+  const globs = scopeGlobs(dir, p);
+  const commands = { testing: ['test'], database: ['migrate'] };
+  for (const scope of RULE_SCOPES) {
+    const section = full.match(sectionRe(scope.heading))?.[0].trim();
+    if (!section) continue;
+    const run = (commands[scope.key] || []).filter(k => p.commands?.[k]).map(k => `- ${COMMAND_LABELS[k]}: \`${p.commands[k]}\``);
+    const stack = scope.key === 'database' ? [`ORM: ${p.orm}`, `Database: ${p.database}`].filter(v => isDetected(v.split(': ')[1])) : [];
+    const body = [`# ${p.framework} Project \u2014 ${scope.title}`, `# ${GENERATED_MARK}`, '', section,
+      ...(stack.length ? ['', ...stack.map(v => `- ${v}`)] : []), ...(run.length ? ['', ...run] : [])].join('\n') + '\n';
+    files.push({ file: scope.file, generated: mdc(scope.description, globs[scope.key].join(', '), false, body) });
+  }
+  return files;
+}
+
+// --- Config entries (.aider.conf.yml read:) ------------------------------------------
+
+const unquote = v => v.trim().replace(/^["']|["']$/g, '');
+
+// The `read:` key of a YAML config: line index, style and items
+function yamlRead(lines) {
+  const at = lines.findIndex(l => /^read:/.test(l));
+  if (at < 0) return null;
+  const inline = lines[at].slice(5).trim();
+  if (inline.startsWith('[')) return { at, end: at + 1, style: 'flow', items: inline.slice(1, -1).split(',').map(unquote).filter(Boolean) };
+  if (inline) return { at, end: at + 1, style: 'scalar', items: [unquote(inline)] };
+  let end = at + 1;
+  while (end < lines.length && /^\s*-\s+/.test(lines[end])) end++;
+  const indent = lines[at + 1]?.match(/^(\s*)-\s/)?.[1] ?? '  ';
+  return { at, end, style: 'block', indent, items: lines.slice(at + 1, end).map(l => unquote(l.replace(/^\s*-\s+/, ''))) };
+}
+
+// Add file to `read:`, keeping everything else in the config as written
+function addYamlRead(conf, file) {
+  const lines = conf ? conf.replace(/\n$/, '').split('\n') : [`# ${GENERATED_MARK} (--init aider)`];
+  const read = yamlRead(lines);
+  if (read?.items.includes(file)) return conf;
+  if (!read) lines.push(...(conf ? [''] : []), 'read:', `  - ${file}`);
+  else if (read.style === 'block') lines.splice(read.end, 0, `${read.indent}- ${file}`);
+  else lines.splice(read.at, 1, 'read:', ...[...read.items, file].map(i => `  - ${i}`));
+  return lines.join('\n') + '\n';
+}
+
+// Take file out of `read:`; '' when nothing but comments is left
+function removeYamlRead(conf, file) {
+  const lines = conf.replace(/\n$/, '').split('\n');
+  const read = yamlRead(lines);
+  if (!read?.items.includes(file)) return conf;
+  const items = read.items.filter(i => i !== file);
+  const indent = read.indent ?? '  ';
+  lines.splice(read.at, read.end - read.at, ...(items.length ? ['read:', ...items.map(i => `${indent}- ${i}`)] : []));
+  const rest = lines.filter(l => l.trim() && !l.trim().startsWith('#'));
+  return rest.length ? lines.join('\n').replace(/\n{3,}/g, '\n\n').trimEnd() + '\n' : '';
+}
+
+// --- CLAUDE.md ---------------------------------------------------------------------
+
+// Marks a value --init could not detect, so nobody mistakes a guess for a fact
+const todo = hint => `TODO: ${hint}`;
+
+// Name and description from whichever manifest the project has
+function projectMeta(dir) {
+  const readText = f => { try { return readFileSync(join(dir, f), 'utf-8'); } catch { return ''; } };
+  const tomlTable = (text, table) => text.split(/^\[/m).find(t => t.startsWith(`${table}]`)) || '';
+  const tomlKey = (text, key) => text.match(new RegExp(`^${key}\\s*=\\s*["']([^"']*)["']`, 'm'))?.[1];
+  const meta = {};
+
+  const pkg = readJsonc(join(dir, 'package.json'));
+  const composer = readJsonc(join(dir, 'composer.json'));
+  const pyproject = readText('pyproject.toml');
+  const py = tomlTable(pyproject, 'project') || tomlTable(pyproject, 'tool.poetry');
+  const cargo = tomlTable(readText('Cargo.toml'), 'package');
+  const pom = readText('pom.xml').replace(/<parent>[\s\S]*?<\/parent>/, '').replace(/<dependencies>[\s\S]*/, '');
+
+  for (const [name, description] of [
+    [pkg?.name, pkg?.description],
+    [composer?.name, composer?.description],
+    [tomlKey(py, 'name'), tomlKey(py, 'description')],
+    [tomlKey(cargo, 'name'), tomlKey(cargo, 'description')],
+    [pom.match(/<name>([^<]+)<\/name>/)?.[1] || pom.match(/<artifactId>([^<]+)<\/artifactId>/)?.[1], pom.match(/<description>([^<]+)<\/description>/)?.[1]],
+    [readText('go.mod').match(/^module\s+(\S+)/m)?.[1]],
+  ]) {
+    meta.name ??= name?.trim() || undefined;
+    meta.description ??= description?.trim() || undefined;
+  }
+  return meta;
+}
+
+// Directory tree, two levels deep, for the Folder Structure section
+function folderTree(dir, depth = 2, maxLines = 40) {
+  const lines = [];
+  const subdirs = rel => {
+    try {
+      return readdirSync(join(dir, rel), { withFileTypes: true })
+        .filter(e => e.isDirectory() && !e.name.startsWith('.') && !SKIP_DIRS.has(e.name) && e.name !== 'coverage')
+        .map(e => e.name).sort();
+    } catch { return []; }
+  };
+  const walk = (rel, prefix, level) => {
+    const names = subdirs(rel);
+    names.forEach((name, i) => {
+      if (lines.length >= maxLines) return;
+      const last = i === names.length - 1;
+      lines.push(level ? `${prefix}${last ? '\u2514\u2500\u2500 ' : '\u251C\u2500\u2500 '}${name}/` : `${name}/`);
+      if (level + 1 < depth) walk(rel ? `${rel}/${name}` : name, level ? `${prefix}${last ? '    ' : '\u2502   '}` : '', level + 1);
+    });
+  };
+  walk('', '', 0);
+  return lines.join('\n');
+}
+
+const INSTALL_COMMANDS = {
+  npm: 'npm install', pnpm: 'pnpm install', yarn: 'yarn install', bun: 'bun install',
+  pip: 'pip install -r requirements.txt', poetry: 'poetry install',
+  composer: 'composer install', bundler: 'bundle install', 'go mod': 'go mod download', cargo: 'cargo build',
+  maven: 'mvn install', gradle: './gradlew build',
+};
+
+const AUTH_DEPS = [
+  ['JWT', ['@nestjs/jwt', 'jsonwebtoken', 'jose', 'passport-jwt', 'pyjwt', 'python-jose', 'djangorestframework-simplejwt',
+    'firebase/php-jwt', 'tymon/jwt-auth', 'jwt', 'jjwt', 'jjwt-api', 'github.com/golang-jwt/jwt/v5']],
+  ['Auth.js', ['next-auth', '@auth/core']],
+  ['Passport', ['@nestjs/passport', 'passport']],
+  ['Laravel Sanctum', ['laravel/sanctum']],
+  ['Devise', ['devise']],
+  ['Spring Security', ['spring-boot-starter-security', 'spring-boot-starter-oauth2-resource-server']],
+];
+
+// Global error handling, by file name first, then by a few telltale patterns
+const ERROR_PATTERNS = [
+  [/@Catch\(/, 'exception filter'],
+  [/@(?:Rest)?ControllerAdvice/, '@RestControllerAdvice'],
+  [/\.exception_handler\(|add_exception_handler\(/, 'exception handlers'],
+  [/EXCEPTION_HANDLER/, 'DRF EXCEPTION_HANDLER'],
+  [/rescue_from/, 'rescue_from'],
+  [/app\.use\(\s*(?:function\s*)?\(\s*err\b/, 'error middleware'],
+];
+
+function errorHandling(dir, p) {
+  const exts = SOURCE_EXTS[p.language] || Object.values(SOURCE_EXTS).flat();
+  const files = sampleFiles(dir).filter(f => exts.some(e => f.endsWith(e)));
+  const byName = files.find(f => /exceptions?[-_.]?(filter|handler)|error[-_.]?(handler|middleware)|errors?\.middleware/i.test(baseName(f)));
+  if (byName) return `global handler in \`${byName}\``;
+  for (const f of files.slice(0, 400)) {
+    let text = '';
+    try { text = readFileSync(join(dir, f), 'utf-8'); } catch { continue; }
+    const hit = ERROR_PATTERNS.find(([re]) => re.test(text));
+    if (hit) return `${hit[1]} in \`${f}\``;
+  }
+  return null;
+}
+
+// Keys from the env example files — never the real .env
+function envKeys(dir) {
+  const keys = new Set();
+  for (const f of ['.env.example', '.env.sample', '.env.template', '.env.dist']) {
+    let text = '';
+    try { text = readFileSync(join(dir, f), 'utf-8'); } catch { continue; }
+    for (const m of text.matchAll(/^\s*(?:export\s+)?([A-Z][A-Z0-9_]*)\s*=/gm)) keys.add(m[1]);
+  }
+  return [...keys];
+}
+
+// Extra values for shared/claude-md-template.md; anything undetected is a TODO
+function claudeVars(p, dir) {
+  const meta = projectMeta(dir);
+  const deps = dependencyNames(dir);
+  const known = (v, hint) => (isDetected(v) ? v : todo(hint));
+  const command = (key, hint) => p.commands?.[key] || `# ${todo(hint)}`;
+  const auth = AUTH_DEPS.find(([, names]) => names.some(n => deps.has(n)))?.[0];
+  const errors = errorHandling(dir, p);
+  const env = envKeys(dir);
+  const tree = folderTree(dir);
+
+  return {
+    NAME:        meta.name || todo('project name'),
+    DESCRIPTION: meta.description || todo('what this project does'),
+    FRAMEWORK:   known(p.framework, 'framework'),
+    LANGUAGE:    known(p.language, 'language'),
+    DATABASE:    known(p.database, 'database engine'),
+    ORM:         known(p.orm, 'ORM / data access library'),
+    FOLDER_STRUCTURE: tree || todo('describe the folder structure'),
+    INSTALL_COMMAND: INSTALL_COMMANDS[p.pkgMgr] || `# ${todo('install command')}`,
+    DEV_COMMAND:     command('dev', 'dev server command'),
+    TEST_COMMAND:    command('test', 'test command'),
+    LINT_COMMAND:    command('lint', 'lint command'),
+    MIGRATE_COMMAND: command('migrate', 'migration command'),
+    ERROR_HANDLING: errors || todo('exceptions / Result type / error codes'),
+    AUTH:           auth || todo('JWT / session / OAuth'),
+    ENV_VARS: env.length ? env.map(k => `- \`${k}\``).join('\n') : `- ${todo('list required environment variables (no .env.example found)')}`,
+  };
+}
+
+// Agents that need project-level files (don't just read from skills dir)
+const NEEDS_PROJECT_FILE = new Set(['cursor', 'copilot', 'windsurf', 'cline', 'roocode', 'kilocode', 'kiro']);
+
+const LAYOUTS = ['root', 'packages'];
+
+// Every rules file --init would write for these agents, with its content.
+// Monorepos get the root file plus a "Services" section; per-package files are
+// written for agents that read nested rules (agent.nested), or for every agent
+// with layout 'packages' (teams that open each service as its own project).
+function projectTargets(dir, agents, { layout = 'root', template = loadTemplate(), budget } = {}) {
+  const root = detectProject(dir);
+  const workspaces = detectWorkspaces(dir, root);
+  const project = workspaces.length ? monorepoProject(root, workspaces) : root;
+  const team = teamConfig(dir);
+  const targets = [];
+
+  for (const key of agents) {
+    const agent = PROJECT_AGENTS[key];
+    if (!agent) continue;
+
+    for (const { file, generated, config } of agentRuleFiles(agent, project, dir, { workspaces, template, budget, team })) {
+      targets.push({ key, agent, file: join(agent.dir, file), generated, config, project });
+    }
+
+    if (!agent.nested && layout !== 'packages') continue;
+    for (const ws of workspaces) {
+      for (const { file, generated, config } of agentRuleFiles(agent, ws.project, join(dir, ws.path), { template, budget, team })) {
+        targets.push({ key, agent, file: join(ws.path, agent.dir, file), generated, config, project: ws.project });
+      }
+    }
+  }
+
+  return { project, workspaces, targets };
+}
+
+// --- Diff ------------------------------------------------------------------------
+
+// Unified line diff (LCS based — rules files are small). Returns '' when equal.
+function unifiedDiff(before, after, label, context = 3) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  const n = a.length, m = b.length;
+
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  // ops: [' ' | '-' | '+', line]
+  const ops = [];
+  let i = 0, j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j])                  { ops.push([' ', a[i]]); i++; j++; }
+    else if (lcs[i + 1][j] >= lcs[i][j + 1]) { ops.push(['-', a[i]]); i++; }
+    else                                { ops.push(['+', b[j]]); j++; }
+  }
+  while (i < n) ops.push(['-', a[i++]]);
+  while (j < m) ops.push(['+', b[j++]]);
+
+  const changed = ops.map((op, k) => op[0] !== ' ' ? k : -1).filter(k => k >= 0);
+  if (!changed.length) return '';
+
+  // Group changes whose context windows touch into hunks
+  const hunks = [];
+  for (const k of changed) {
+    const last = hunks[hunks.length - 1];
+    if (last && k - last.end <= context * 2) last.end = k;
+    else hunks.push({ start: k, end: k });
+  }
+
+  const out = [`--- a/${label}`, `+++ b/${label}`];
+  for (const h of hunks) {
+    const from = Math.max(0, h.start - context);
+    const to   = Math.min(ops.length, h.end + context + 1);
+    let oldLine = 1, newLine = 1;
+    for (let k = 0; k < from; k++) {
+      if (ops[k][0] !== '+') oldLine++;
+      if (ops[k][0] !== '-') newLine++;
+    }
+    const slice = ops.slice(from, to);
+    const oldLen = slice.filter(op => op[0] !== '+').length;
+    const newLen = slice.filter(op => op[0] !== '-').length;
+    out.push(`@@ -${oldLine},${oldLen} +${newLine},${newLen} @@`);
+    for (const [op, line] of slice) out.push(op + line);
+  }
+  return out.join('\n') + '\n';
+}
+
+function printDiff(diff) {
+  for (const line of diff.trimEnd().split('\n')) {
+    const color = line.startsWith('+++') || line.startsWith('---') ? c.bold
+      : line.startsWith('+') ? c.green
+      : line.startsWith('-') ? c.red
+      : line.startsWith('@@') ? c.cyan
+      : c.dim;
+    log(`    ${color}${line}${c.reset}`);
+  }
+}
+
+// With refresh, existing files get their managed block rewritten (or one
+// inserted); without it they are skipped.
+// Returns one entry per target file: { agent, name, file, status } where status
+// is created, updated, exists (left alone without refresh) or up-to-date
+function initProjectFiles(dir, agents, { refresh = false, layout = 'root', template, budget } = {}) {
+  const files = [];
+
+  for (const { key, agent, file: fp, generated, config, project } of projectTargets(dir, agents, { layout, template, budget }).targets) {
+    const targetFile = join(dir, fp);
+    const result = status => files.push({ agent: key, name: agent.name, file: fp, status });
+
+    // Config entries are merged into the user's file every time, never replaced
+    if (config) {
+      const existing = existsSync(targetFile) ? readFileSync(targetFile, 'utf-8') : '';
+      const merged = config.merge(existing);
+      if (merged === existing) { info(`${c.dim}${fp} is up to date${c.reset}`); result('up-to-date'); continue; }
+      makeDir(dirname(targetFile));
+      writeFile(targetFile, merged);
+      if (ctx().dryRun) printDiff(unifiedDiff(existing, merged, fp));
+      ok(`${c.bold}${fp}${c.reset} \u2192 ${agent.name} ${c.dim}(${existing ? 'entry added' : 'created'})${c.reset}`);
+      result(existing ? 'updated' : 'created');
+      continue;
+    }
+
+    const tokens = estimateTokens(renderManaged(generated));
+    if (budget && tokens > budget) warn(`${fp}: ~${tokens} tokens even after trimming \u2014 over --budget ${budget}`);
+
+    if (existsSync(targetFile)) {
+      const existing = readFileSync(targetFile, 'utf-8');
+      const merged = mergeManaged(existing, generated);
+
+      if (!refresh) {
+        info(`${c.yellow}${fp}${c.reset} already exists \u2014 skipped ${c.dim}(use --refresh to update its managed block)${c.reset}`);
+        if (ctx().dryRun) {
+          skipFile(targetFile, 'exists');
+          const diff = unifiedDiff(existing, merged, fp);
+          if (diff) printDiff(diff);
+          else log(`    ${c.dim}(identical to generated content)${c.reset}`);
+        }
+        result('exists');
+        continue;
+      }
+
+      if (merged === existing) {
+        info(`${c.dim}${fp} is up to date${c.reset}`);
+        result('up-to-date');
+        continue;
+      }
+
+      writeFile(targetFile, merged);
+      if (ctx().dryRun) printDiff(unifiedDiff(existing, merged, fp));
+      const how = BLOCK_RE.test(existing) ? 'managed block refreshed'
+        : existing.includes(GENERATED_MARK) ? 'regenerated with managed block'
+        : 'managed block added';
+      ok(`${c.bold}${fp}${c.reset} \u2192 ${agent.name} ${c.dim}(${how}: ${project.framework})${c.reset}`);
+      result('updated');
+      continue;
+    }
+
+    const content = renderManaged(generated);
+    makeDir(dirname(targetFile));
+    writeFile(targetFile, content);
+    if (ctx().dryRun) {
+      for (const line of content.trimEnd().split('\n')) log(`    ${c.dim}\u2502${c.reset} ${line}`);
+    }
+    ok(`${c.bold}${fp}${c.reset} \u2192 ${agent.name} ${c.dim}(auto-detected: ${project.framework})${c.reset}`);
+    result('created');
+  }
+
+  return files;
+}
+
+const isWritten = f => f.status === 'created' || f.status === 'updated';
+
+// Render rules in memory and compare with disk. Only the front matter and the
+// managed block are compared — hand-written text around them never counts as drift. Missing files
+// are only a failure when the agent was asked for explicitly.
+function checkProjectFiles(dir, agents, { requireAll = false, layout = 'root', template, budget } = {}) {
+  const { project, workspaces, targets } = projectTargets(dir, agents, { layout, template, budget });
+  const files = [];
+
+  for (const { key, file: fp, generated, config } of targets) {
+    const targetFile = join(dir, fp);
+
+    if (!existsSync(targetFile)) {
+      const content = config ? config.merge('') : renderManaged(generated);
+      files.push({ agent: key, file: fp, status: 'missing', ok: !requireAll, diff: unifiedDiff('', content, fp) });
+      continue;
+    }
+
+    const existing = readFileSync(targetFile, 'utf-8');
+    const diff = unifiedDiff(existing, config ? config.merge(existing) : mergeManaged(existing, generated), fp);
+    const status = !diff ? 'up-to-date' : config || BLOCK_RE.test(existing) ? 'outdated' : 'unmanaged';
+    files.push({ agent: key, file: fp, status, ok: !diff, diff });
+  }
+
+  return { project, workspaces: workspaces.map(w => ({ path: w.path, ...w.project })), files, ok: files.every(f => f.ok) };
+}
+
+async function selectProjectAgents(title = 'Select project-level files to generate:') {
+  if (!process.stdin.isTTY) return Object.keys(PROJECT_AGENTS);
+
+  const keys    = Object.keys(PROJECT_AGENTS);
+  const selected = new Set(keys); // all selected by default
+  let cursor    = 0;
+
+  const UP       = '\x1b[A';
+  const DOWN     = '\x1b[B';
+  const ERASE_DN = '\x1b[J';
+  const HIDE_CUR = '\x1b[?25l';
+  const SHOW_CUR = '\x1b[?25h';
+  const moveUp   = n => `\x1b[${n}A`;
+  const TOTAL_LINES = 3 + keys.length;
+
+  function render(first) {
+    if (!first) process.stdout.write(moveUp(TOTAL_LINES) + ERASE_DN);
+    process.stdout.write(`\n${c.bold}  ${title}${c.reset}\n`);
+    process.stdout.write(`  ${c.dim}\u2191\u2193 navigate   Space toggle   A select all   Enter confirm   Q cancel${c.reset}\n`);
+
+    for (let i = 0; i < keys.length; i++) {
+      const k     = keys[i];
+      const agent = PROJECT_AGENTS[k];
+      const isCur = i === cursor;
+      const isSel = selected.has(k);
+
+      const ptr   = isCur ? `${c.cyan}\u203A${c.reset}` : ' ';
+      const box   = isSel ? `${c.green}\u25C9${c.reset}` : `${c.dim}\u25EF${c.reset}`;
+      const name  = isCur ? `${c.bold}${c.cyan}${agent.name}${c.reset}` : agent.name;
+      const file  = `${c.dim}\u2192 ${join(agent.dir, agent.file)}${c.reset}`;
+
+      process.stdout.write(`  ${ptr} ${box} ${name.padEnd(20)}${file}\n`);
+    }
+  }
+
+  process.stdout.write(HIDE_CUR);
+  render(true);
+
+  return new Promise(resolve => {
+    process.stdin.setRawMode(true);
+    process.stdin.resume();
+    process.stdin.setEncoding('utf8');
+
+    const onKey = key => {
+      const done = result => {
+        process.stdin.setRawMode(false);
+        process.stdin.pause();
+        process.stdin.off('data', onKey);
+        process.stdout.write(SHOW_CUR + '\n');
+        resolve(result);
+      };
+
+      if (key === '\x03') { done(null); process.exit(0); }
+      if (key === 'q' || key === 'Q' || key === '\x1b') { done([]); return; }
+      if (key === '\r' || key === '\n') { done([...selected]); return; }
+
+      if (key === UP)    cursor = (cursor - 1 + keys.length) % keys.length;
+      else if (key === DOWN) cursor = (cursor + 1) % keys.length;
+      else if (key === ' ') {
+        if (selected.has(keys[cursor])) selected.delete(keys[cursor]);
+        else selected.add(keys[cursor]);
+      } else if (key === 'a' || key === 'A') {
+        if (selected.size === keys.length) selected.clear();
+        else keys.forEach(k => selected.add(k));
+      }
+
+      render(false);
+    };
+
+    process.stdin.on('data', onKey);
+  });
+}
+
+export {
+  AGENTS, askConflict, BACKUPS, banner, c, checkProjectFiles, CONFLICT_CHOICES, ctx, detect, fail,
+  findLockfile, info, initProjectFiles, install, installHumanizer, installTarget, isWritten,
+  LAYOUTS, listBackups, loadPack, loadTemplate, LOCKFILE, log, NEEDS_PROJECT_FILE, newRun, ok,
+  PACK_MANIFEST, PKG_NAME, PKG_ROOT, PKG_VERSION, plain, printDiff, printJson, PROJECT_AGENTS,
+  readJsonc, readManifest, removeProjectFiles, resolveOnly, rollback, runs, runStatus,
+  selectProjectAgents, showContext, showContextReport, showDetection, showVerifyReport, SKILL_NAME,
+  slimFiles, smartLoadSet, stackName, teamConfig, uninstall, update, verifySkill, warn,
+  warnCopyDrift, writeLock,
+};
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync } from 'node:fs';
+import { join } from 'node:path';
+import { install, initProjectFiles } from '../lib/api.mjs';
+import { sandbox, writeTree } from './helpers.mjs';
+
+test('install takes one agent as a string', (t) => {
+  const box = sandbox();
+  t.after(box.remove);
+
+  const { installed, dryRun } = install({ agents: 'claude', homeDir: box.home, dryRun: true });
+  assert.equal(dryRun, true);
+  assert.deepEqual(installed.map(i => i.agent), ['claude']);
+  assert.ok(!existsSync(join(box.home, '.claude')));
+});
+
+test('install --slim detects in the cwd by default, not in targetDir', (t) => {
+  const box = sandbox();
+  const cwd = process.cwd();
+  t.after(() => { process.chdir(cwd); box.remove(); });
+  writeTree(box.project, { 'package.json': { name: 'api', dependencies: { '@nestjs/core': '^10.0.0' } } });
+  writeTree(box.root, { 'skills/package.json': { name: 'skills', dependencies: { express: '^4.0.0' } } });
+
+  process.chdir(box.project);
+  const [target] = install({ targetDir: join(box.root, 'skills'), only: 'slim', dryRun: true }).installed;
+  assert.deepEqual(target.only, ['nestjs']);
+
+  const [other] = install({ targetDir: box.project, projectDir: join(box.root, 'skills'), only: 'slim', dryRun: true }).installed;
+  assert.deepEqual(other.only, ['express']);
+});
+
+test('install and initProjectFiles reject unknown options', (t) => {
+  const box = sandbox();
+  t.after(box.remove);
+
+  assert.throws(() => install({ agents: 'vim', homeDir: box.home, dryRun: true }), /Unknown agent: vim/);
+  assert.throws(() => install({ agents: ['claude'], homeDir: box.home, keepBackups: -1 }), /keepBackups must be a whole number/);
+  assert.throws(() => initProjectFiles({ targetDir: box.project, layout: 'flat' }), /Unknown layout: flat/);
+});
+
+test('initProjectFiles takes one agent as a string and records effects', (t) => {
+  const box = sandbox();
+  t.after(box.remove);
+  writeTree(box.project, { 'package.json': { name: 'api', dependencies: { express: '^4.0.0' } } });
+
+  const { files, effects, project } = initProjectFiles({ targetDir: box.project, agents: 'cursor' });
+  assert.equal(project.framework, 'Express');
+  assert.deepEqual(files.map(f => [f.file, f.status]), [['.cursorrules', 'created']]);
+  assert.ok(effects.some(e => e.action === 'write' && e.path === join(box.project, '.cursorrules')));
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { sandbox, cli } from './helpers.mjs';
+
+const BACKUPS = '.skill-backend-mt.backups';
+
+test('--project installs make no backups by default', (t) => {
+  const box = sandbox();
+  t.after(box.remove);
+
+  assert.equal(cli(box, ['--claude', '--project']).status, 0);
+  assert.equal(cli(box, ['--claude', '--project']).status, 0);
+  assert.ok(!existsSync(join(box.project, '.claude', 'skills', BACKUPS)));
+});
+
+test('backups carry a .gitignore so they stay out of commits', (t) => {
+  const box = sandbox();
+  t.after(box.remove);
+  const skills = join(box.project, '.claude', 'skills');
+
+  assert.equal(cli(box, ['--claude', '--project']).status, 0);
+  const res = cli(box, ['--claude', '--project', '--keep-backups', '2']);
+  assert.equal(res.status, 0, res.stderr);
+  assert.match(res.stdout, /backup of v[\d.]+ in \.skill-backend-mt\.backups\//);
+  assert.equal(readFileSync(join(skills, BACKUPS, '.gitignore'), 'utf-8'), '*\n');
+});
+
+test('an invalid team config only stops modes that install or back up', (t) => {
+  const box = sandbox();
+  t.after(box.remove);
+  assert.equal(cli(box, ['--claude']).status, 0);
+  writeFileSync(join(box.project, '.skill-backend.json'), '{ "backups": ');
+
+  for (const args of [['--verify'], ['--status'], ['--uninstall', '--claude']]) {
+    const res = cli(box, args);
+    assert.equal(res.status, 0, `${args.join(' ')}: ${res.stdout}${res.stderr}`);
+  }
+  const res = cli(box, ['--claude']);
+  assert.equal(res.status, 1);
+  assert.match(res.stdout + res.stderr, /\.skill-backend\.json: invalid JSON/);
+});
+
+test('--uninstall keeps backups so --rollback can restore the skill', (t) => {
+  const box = sandbox();
+  t.after(box.remove);
+  const skills = join(box.home, '.claude', 'skills');
+
+  assert.equal(cli(box, ['--claude']).status, 0);
+  assert.equal(cli(box, ['--claude']).status, 0);
+  const res = cli(box, ['--uninstall', '--claude']);
+  assert.equal(res.status, 0, res.stderr);
+  assert.match(res.stdout, /kept 1 backup\(s\) for --rollback/);
+  assert.ok(!existsSync(join(skills, 'skill-backend-mt')));
+
+  assert.equal(cli(box, ['--rollback', '--claude']).status, 0);
+  assert.ok(existsSync(join(skills, 'skill-backend-mt', 'SKILL.md')));
+});
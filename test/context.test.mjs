@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sandbox, writeTree, cli } from './helpers.mjs';
+
+function context(t, files, args = ['--json']) {
+  const box = sandbox();
+  t.after(box.remove);
+  writeTree(box.project, files);
+  const res = cli(box, ['--context', ...args]);
+  assert.equal(res.status, 0, res.stderr);
+  return args.includes('--json') ? JSON.parse(res.stdout) : res.stdout;
+}
+
+test('--context loads SKILL.md, the detected framework file and the PRIORITY 3/4 files', (t) => {
+  const report = context(t, { 'package.json': { name: 'api', dependencies: { '@nestjs/core': '^10.0.0' } } });
+
+  assert.equal(report.framework, 'NestJS');
+  assert.deepEqual(report.files.slice(0, 2).map(f => [f.file, f.priority]), [['SKILL.md', 'P1'], ['nodejs/nestjs.md', 'P2']]);
+  assert.ok(report.files.slice(2).every(f => f.file.startsWith('shared/') && ['P3', 'P4'].includes(f.priority)));
+  assert.ok(report.files.some(f => f.file === 'shared/code-review.md'));
+  assert.equal(report.tokens, report.files.reduce((n, f) => n + f.tokens, 0));
+  assert.ok(report.tokens < report.fullTokens);
+
+  assert.deepEqual(report.windows.map(w => w.name), ['32K', '128K', '200K', '1M']);
+  for (const w of report.windows) {
+    assert.equal(w.smart, report.tokens / w.size);
+    assert.equal(w.full, report.fullTokens / w.size);
+  }
+  const sizes = report.largest.map(f => f.tokens);
+  assert.deepEqual(sizes, [...sizes].sort((a, b) => b - a));
+  assert.equal(report.largest.find(f => f.file === 'SKILL.md')?.smartLoad, true);
+});
+
+test('--context without a framework counts the largest framework file', (t) => {
+  const report = context(t, { 'README.md': '# notes\n' });
+  assert.equal(report.framework, null);
+  assert.equal(report.files[1].priority, 'P2');
+  assert.equal(report.files[1].why, 'largest — no framework detected');
+
+  const text = context(t, { 'go.mod': 'module api\n' }, []);
+  assert.match(text, /Smart load for Go/);
+  assert.match(text, /P2 +others\/go-ruby-rust\.md +~[\d,]+ tokens \(Go\)/);
+  assert.match(text, /32K +[\d.]+% +[\d.]+% \(does not fit\)/);
+  assert.match(text, /Largest files:\n +\S+\.md +~[\d,]+ tokens/);
+});
@@ -0,0 +1,155 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { sandbox, writeTree, cli } from './helpers.mjs';
+
+// --detect --json for a project made of files
+function detectFiles(t, files) {
+  const box = sandbox();
+  t.after(box.remove);
+  writeTree(box.project, files);
+  const res = cli(box, ['--detect', '--json']);
+  assert.equal(res.status, 0, res.stderr);
+  return JSON.parse(res.stdout).project;
+}
+
+test('database, cache and queue come from Prisma, env examples, compose files and drivers', (t) => {
+  const node = detectFiles(t, {
+    'package.json': { name: 'api', dependencies: { '@nestjs/core': '^10.0.0', '@prisma/client': '^5.0.0', bullmq: '^4.0.0' } },
+    'prisma/schema.prisma': 'datasource db {\n  provider = "postgresql"\n  url      = env("DATABASE_URL")\n}\n',
+    'docker-compose.yml': 'services:\n  cache:\n    image: redis:7-alpine\n',
+  });
+  assert.deepEqual([node.database, node.cache, node.queue], ['PostgreSQL', 'Redis', 'BullMQ']);
+
+  const python = detectFiles(t, {
+    'requirements.txt': 'django==5.0\npsycopg2-binary==2.9\ncelery==5.3\n',
+    '.env.example': 'REDIS_URL=redis://localhost:6379/0\nAMQP_URL=amqp://guest@localhost//\n',
+    'compose.yaml': 'services:\n  db:\n    image: docker.io/library/mysql:8\n',
+  });
+  assert.deepEqual([python.database, python.cache, python.queue], ['MySQL · PostgreSQL', 'Redis', 'RabbitMQ · Celery']);
+
+  const ruby = detectFiles(t, {
+    'Gemfile': "gem 'rails'\ngem 'sidekiq'\n",
+    '.env.example': 'DATABASE_URL=mongodb://localhost/app\nKAFKA_BROKERS=localhost:9092\n',
+  });
+  assert.deepEqual([ruby.database, ruby.cache, ruby.queue], ['MongoDB', '[Redis / Memcached / in-memory / none]', 'Kafka · Sidekiq']);
+});
+
+test('every rules template gets Database, Cache and Queue lines', (t) => {
+  const box = sandbox();
+  t.after(box.remove);
+  writeTree(box.project, {
+    'package.json': { name: 'api', dependencies: { express: '^4.0.0', pg: '^8.0.0', ioredis: '^5.0.0', amqplib: '^0.10.0' } },
+  });
+
+  for (const [agent, file] of [['cursor', '.cursorrules'], ['claude', 'CLAUDE.md'], ['agents', 'AGENTS.md']]) {
+    assert.equal(cli(box, ['--init', agent]).status, 0);
+    const text = readFileSync(join(box.project, file), 'utf-8');
+    assert.match(text, /Database\**: PostgreSQL$/m, file);
+    assert.match(text, /Cache\**: Redis$/m, file);
+    assert.match(text, /Queue\**: RabbitMQ$/m, file);
+  }
+});
+
+test('quality gate commands come from scripts, Makefile, pyproject, composer and Gradle', (t) => {
+  const node = detectFiles(t, {
+    'package.json': {
+      name: 'api',
+      scripts: { test: 'vitest run', lint: 'eslint .', build: 'nest build', 'start:dev': 'nest start --watch' },
+      dependencies: { '@nestjs/core': '^10.0.0', '@prisma/client': '^5.0.0' },
+      devDependencies: { typescript: '^5.0.0' },
+    },
+    'pnpm-lock.yaml': 'lockfileVersion: 9.0\n',
+    'tsconfig.json': '{}',
+  });
+  assert.deepEqual(node.commands, {
+    test: 'pnpm test', lint: 'pnpm lint', typecheck: 'pnpm exec tsc --noEmit',
+    build: 'pnpm build', migrate: 'pnpm exec prisma migrate dev', dev: 'pnpm start:dev',
+  });
+
+  const python = detectFiles(t, {
+    'pyproject.toml': '[tool.poetry]\nname = "api"\n\n[tool.poetry.dependencies]\nfastapi = "^0.110"\n\n[tool.pytest.ini_options]\n\n[tool.ruff]\n\n[tool.mypy]\n',
+    'poetry.lock': '',
+    'app/main.py': 'app = FastAPI()\n',
+    'Makefile': 'build:\n\tdocker build .\n',
+  });
+  assert.equal(python.commands.test, 'poetry run pytest');
+  assert.equal(python.commands.lint, 'poetry run ruff check .');
+  assert.equal(python.commands.typecheck, 'poetry run mypy .');
+  assert.equal(python.commands.build, 'make build');
+  assert.equal(python.commands.dev, 'poetry run uvicorn app.main:app --reload');
+
+  const php = detectFiles(t, {
+    'composer.json': { require: { 'laravel/framework': '^11.0' }, scripts: { lint: 'pint --test', analyse: 'phpstan' } },
+    'artisan': '',
+  });
+  assert.equal(php.commands.lint, 'composer lint');
+  assert.equal(php.commands.typecheck, 'composer analyse');
+  assert.equal(php.commands.test, 'php artisan test');
+
+  const java = detectFiles(t, {
+    'build.gradle': "dependencies {\n  implementation 'org.springframework.boot:spring-boot-starter-web'\n}\n",
+    'gradlew': '',
+  });
+  assert.equal(java.commands.test, './gradlew test');
+  assert.equal(java.commands.dev, './gradlew bootRun');
+});
+
+test('rules files list the quality gate commands', (t) => {
+  const box = sandbox();
+  t.after(box.remove);
+  writeTree(box.project, {
+    'package.json': { name: 'api', scripts: { test: 'jest' }, dependencies: { express: '^4.0.0' } },
+    'yarn.lock': '',
+  });
+
+  assert.equal(cli(box, ['--init', 'cursor']).status, 0);
+  const text = readFileSync(join(box.project, '.cursorrules'), 'utf-8');
+  assert.match(text, /^## Quality Gate Commands$/m);
+  assert.match(text, /^- Test: `yarn test`$/m);
+});
+
+test('code style and architecture come from the source tree, with an example file each', (t) => {
+  const box = sandbox();
+  t.after(box.remove);
+  const files = {
+    'package.json': { name: 'api', dependencies: { '@nestjs/core': '^10.0.0' }, devDependencies: { typescript: '^5.0.0' } },
+    'tsconfig.json': '{\n  // JSONC\n  "compilerOptions": { "paths": { "~/*": ["./src/*"] } },\n}\n',
+  };
+  for (const m of ['order-items', 'user-profiles']) {
+    files[`src/${m}/${m}.controller.ts`] = `import { Service } from '~/${m}/${m}.service';\n`;
+    files[`src/${m}/${m}.service.ts`] = 'export class Service {}\n';
+    files[`src/${m}/${m}.repository.ts`] = 'export class Repository {}\n';
+    files[`src/${m}/${m}.service.spec.ts`] = 'test();\n';
+  }
+  writeTree(box.project, files);
+
+  assert.equal(cli(box, ['--init', 'cursor']).status, 0);
+  const text = readFileSync(join(box.project, '.cursorrules'), 'utf-8');
+  assert.match(text, /^- kebab-case file names with a role suffix \(`\.service`, `\.controller`, \.\.\.\) \(e\.g\. `src\/order-items\/order-items\.controller\.ts`\)$/m);
+  assert.match(text, /^- Imports: use the `~\/` alias for `src\/` from tsconfig\.json paths \(e\.g\. `src\/order-items\/order-items\.controller\.ts`\)$/m);
+  assert.match(text, /^- Tests: `\*\.spec\.ts` next to the code they test \(e\.g\. `src\/order-items\/order-items\.service\.spec\.ts`\)$/m);
+  assert.match(text, /^- Dependencies flow inward: Controller → Service → Repository \(e\.g\. `src\/order-items\/order-items\.service\.ts`\)$/m);
+  assert.match(text, /^- Feature modules under `src\/` — each feature keeps its controller, service, repository together \(e\.g\. `src\/order-items\/`\)$/m);
+  assert.doesNotMatch(text, /@\/ alias/);
+});
+
+test('layer folders and a separate tests/ folder are detected for Django', (t) => {
+  const { conventions } = detectFiles(t, {
+    'requirements.txt': 'django==5.0\n',
+    'manage.py': '',
+    'shop/views/order_views.py': '',
+    'shop/models/order_item.py': '',
+    'shop/serializers/order_serializer.py': '',
+    'tests/test_orders.py': '',
+    'tests/test_users.py': '',
+  });
+  assert.deepEqual(conventions.layout, {
+    kind: 'layer', root: 'shop', layers: ['models/', 'serializers/', 'views/'], example: 'shop/models/order_item.py',
+  });
+  assert.equal(conventions.testing.suffix, 'test_*.py');
+  assert.equal(conventions.testing.location, 'separate');
+  assert.equal(conventions.testing.dir, 'tests/');
+  assert.equal(conventions.importAlias, null);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, readdirSync, readFileSync, statSync } from 'node:fs';
+import { join } from 'node:path';
+import { sandbox, writeTree, cli } from './helpers.mjs';
+
+const SKILL_BYTES = statSync(new URL('../SKILL.md', import.meta.url)).size;
+
+test('--dry-run install prints the plan and writes nothing', (t) => {
+  const box = sandbox();
+  t.after(box.remove);
+
+  for (const args of [['--claude'], ['--humanizer', '--cursor'], ['--path', join(box.root, 'skills')]]) {
+    const res = cli(box, [...args, '--dry-run']);
+    assert.equal(res.status, 0, res.stderr);
+    assert.match(res.stdout, /Dry run — nothing will be written/);
+    assert.match(res.stdout, /\[dry-run\] mkdir +\S+/, args.join(' '));
+  }
+  const res = cli(box, ['--claude', '--dry-run']);
+  const skillMd = join(box.home, '.claude', 'skills', 'skill-backend-mt', 'SKILL.md');
+  assert.ok(res.stdout.includes(`[dry-run] write     ${skillMd} (${SKILL_BYTES.toLocaleString('en-US')} bytes)`));
+
+  assert.deepEqual(readdirSync(box.home), []);
+  assert.ok(!existsSync(join(box.root, 'skills')));
+});
+
+test('--init --dry-run prints new rules and a diff for existing files', (t) => {
+  const box = sandbox();
+  t.after(box.remove);
+  writeTree(box.project, {
+    'package.json': { name: 'api', dependencies: { express: '^4.0.0' } },
+    'AGENTS.md': '# Our rules\n',
+  });
+
+  let res = cli(box, ['--init', 'cursor', '--dry-run']);
+  assert.equal(res.status, 0, res.stderr);
+  assert.match(res.stdout, /\[dry-run\] write +\S+\.cursorrules \([\d,]+ bytes\)/);
+  assert.match(res.stdout, /│ # Express Project — Cursor Rules/);
+
+  res = cli(box, ['--init', 'agents', '--dry-run']);
+  assert.equal(res.status, 0, res.stderr);
+  assert.match(res.stdout, /\[dry-run\] skip +\S+AGENTS\.md \(exists\)/);
+  assert.match(res.stdout, /^ +\+\+\+ b\/AGENTS\.md$/m);
+  assert.match(res.stdout, /^ +\+<!-- skill-backend-mt:begin/m);
+
+  assert.ok(!existsSync(join(box.project, '.cursorrules')));
+  assert.equal(readFileSync(join(box.project, 'AGENTS.md'), 'utf-8'), '# Our rules\n');
+});
@@ -0,0 +1,59 @@
+// Shared helpers: run the CLI against a throwaway HOME and project folder.
+import { spawnSync } from 'node:child_process';
+import { cpSync, mkdtempSync, mkdirSync, readFileSync, writeFileSync, rmSync } from 'node:fs';
+import { join, dirname, resolve } from 'node:path';
+import { tmpdir } from 'node:os';
+import { fileURLToPath } from 'node:url';
+
+const PKG_ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const CLI = join(PKG_ROOT, 'bin', 'install.mjs');
+
+// A temp folder holding home/ and project/; remove() cleans it up
+export function sandbox() {
+  const root = mkdtempSync(join(tmpdir(), 'skill-backend-mt-'));
+  const home = join(root, 'home');
+  const project = join(root, 'project');
+  mkdirSync(home);
+  mkdirSync(project);
+  return { root, home, project, remove: () => rmSync(root, { recursive: true, force: true }) };
+}
+
+// Write { 'path/file': text | object } under dir (objects become JSON)
+export function writeTree(dir, files) {
+  for (const [f, body] of Object.entries(files)) {
+    const fp = join(dir, f);
+    mkdirSync(dirname(fp), { recursive: true });
+    writeFileSync(fp, typeof body === 'string' ? body : JSON.stringify(body, null, 2));
+  }
+}
+
+const plain = s => (s || '').replace(/\x1b\[\d+m/g, '');
+
+// Run the CLI without a TTY; returns { status, stdout, stderr } without colors.
+// bin: the CLI of a package copy made with copyPackage(); env: extra variables
+export function cli(box, args, { cwd = box.project, bin = CLI, env = {} } = {}) {
+  const res = spawnSync(process.execPath, [bin, ...args], {
+    cwd,
+    encoding: 'utf-8',
+    timeout: 60_000,
+    env: { ...process.env, HOME: box.home, USERPROFILE: box.home, CI: '1', ...env },
+  });
+  return { status: res.status, stdout: plain(res.stdout), stderr: plain(res.stderr) };
+}
+
+// Make an install look like it came from an older package: the manifest records
+// other hashes for files, so --update sees their package copies as changed
+export function ageManifest(skillDir, files) {
+  const fp = join(skillDir, '.skill-manifest.json');
+  const manifest = JSON.parse(readFileSync(fp, 'utf-8'));
+  for (const f of files) manifest.files[f] = 'older';
+  writeFileSync(fp, JSON.stringify(manifest, null, 2) + '\n');
+}
+
+// Copy the published files (package.json "files") to dir, for tests that break
+// the package itself; returns the copy's CLI path
+export function copyPackage(dir) {
+  const pkg = JSON.parse(readFileSync(join(PKG_ROOT, 'package.json'), 'utf-8'));
+  for (const f of ['package.json', ...pkg.files]) cpSync(join(PKG_ROOT, f), join(dir, f), { recursive: true });
+  return join(dir, 'bin', 'install.mjs');
+}
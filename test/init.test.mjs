@@ -0,0 +1,285 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { sandbox, writeTree, cli } from './helpers.mjs';
+
+// npm workspaces root with a NestJS and an Express service
+function workspace(t) {
+  const box = sandbox();
+  t.after(box.remove);
+  writeTree(box.project, {
+    'package.json': { name: 'mono', private: true, workspaces: ['services/*'] },
+    'services/api/package.json': { name: 'api', dependencies: { '@nestjs/core': '^10.0.0' } },
+    'services/worker/package.json': { name: 'worker', dependencies: { express: '^4.0.0' } },
+  });
+  return box;
+}
+
+test('--init writes per-package files for agents that read nested rules', (t) => {
+  const box = workspace(t);
+
+  for (const agent of ['claude', 'agents', 'cursor-mdc', 'cursor']) {
+    const res = cli(box, ['--init', agent]);
+    assert.equal(res.status, 0, res.stderr);
+  }
+
+  for (const pkg of ['services/api', 'services/worker']) {
+    const dir = join(box.project, pkg);
+    assert.ok(existsSync(join(dir, 'CLAUDE.md')), `${pkg}/CLAUDE.md`);
+    assert.ok(existsSync(join(dir, 'AGENTS.md')), `${pkg}/AGENTS.md`);
+    assert.ok(existsSync(join(dir, '.cursor', 'rules', 'backend.mdc')), `${pkg}/.cursor/rules/backend.mdc`);
+    assert.ok(!existsSync(join(dir, '.cursorrules')), `${pkg}/.cursorrules needs --layout packages`);
+  }
+  assert.ok(existsSync(join(box.project, '.cursorrules')));
+});
+
+test('--layout packages writes per-package files for every agent', (t) => {
+  const box = workspace(t);
+
+  const res = cli(box, ['--init', 'cursor', '--layout', 'packages']);
+  assert.equal(res.status, 0, res.stderr);
+  assert.ok(existsSync(join(box.project, 'services', 'api', '.cursorrules')));
+  assert.ok(existsSync(join(box.project, 'services', 'worker', '.cursorrules')));
+});
+
+test('team config disable drops sections, ### items and bullets', (t) => {
+  const box = workspace(t);
+  writeTree(box.project, {
+    '.skill-backend.json': { disable: ['performance', 'services/worker', 'Controller → Service → Repository'] },
+  });
+
+  const res = cli(box, ['--init', 'agents']);
+  assert.equal(res.status, 0, res.stderr);
+  const text = readFileSync(join(box.project, 'AGENTS.md'), 'utf-8');
+  assert.doesNotMatch(text, /^## Performance/m);
+  assert.doesNotMatch(text, /^### services\/worker/m);
+  assert.match(text, /^### services\/api/m);
+  assert.doesNotMatch(text, /Controller → Service → Repository/);
+  assert.match(text, /^## Security/m);
+});
+
+test('a workspace-only root package.json adds no language to the monorepo', (t) => {
+  const box = sandbox();
+  t.after(box.remove);
+  writeTree(box.project, {
+    'package.json': { name: 'mono', private: true, workspaces: ['services/*'] },
+    'services/api/package.json': { name: 'api', dependencies: { '@nestjs/core': '^10.0.0' } },
+    'services/jobs/package.json': { name: 'jobs', dependencies: { express: '^4.0.0' }, devDependencies: { typescript: '^5.0.0' } },
+  });
+
+  const res = cli(box, ['--detect', '--json']);
+  assert.equal(res.status, 0, res.stderr);
+  assert.equal(JSON.parse(res.stdout).project.language, 'TypeScript');
+});
+
+test('--init --refresh rewrites the front matter of .mdc rules and keeps text around the block', (t) => {
+  const box = sandbox();
+  t.after(box.remove);
+  writeTree(box.project, { 'package.json': { name: 'api', dependencies: { '@nestjs/core': '^10.0.0' } } });
+  assert.equal(cli(box, ['--init', 'cursor-mdc']).status, 0);
+
+  const fp = join(box.project, '.cursor', 'rules', 'security.mdc');
+  const fresh = readFileSync(fp, 'utf-8');
+  writeFileSync(fp, fresh.replace(/^globs: .*$/m, 'globs: **/*.js') + '\nteam notes\n');
+
+  const res = cli(box, ['--init', 'cursor-mdc', '--refresh']);
+  assert.equal(res.status, 0, res.stderr);
+  assert.equal(readFileSync(fp, 'utf-8'), fresh + '\nteam notes\n');
+});
+
+test('every agent file is rendered from the shared template around its own wrapper', (t) => {
+  const box = sandbox();
+  t.after(box.remove);
+  writeTree(box.project, { 'package.json': { name: 'api', dependencies: { express: '^4.0.0' } } });
+
+  const body = {};
+  for (const [agent, file, title] of [
+    ['cursor', '.cursorrules', 'Cursor Rules'],
+    ['copilot', '.github/copilot-instructions.md', 'Copilot Instructions'],
+    ['windsurf', '.windsurfrules', 'Windsurf Rules'],
+  ]) {
+    assert.equal(cli(box, ['--init', agent]).status, 0);
+    const text = readFileSync(join(box.project, file), 'utf-8');
+    assert.match(text, new RegExp(`^# Express Project — ${title}$`, 'm'), file);
+    body[agent] = text.slice(text.indexOf('## Project'));
+  }
+  assert.equal(body.copilot, body.cursor.replaceAll('.cursor/', '.copilot/'));
+  assert.equal(body.windsurf, body.cursor.replaceAll('.cursor/', '.windsurf/'));
+});
+
+test('--template renders a team template with placeholders and {#if} blocks', (t) => {
+  const box = sandbox();
+  t.after(box.remove);
+  writeTree(box.project, {
+    'package.json': { name: 'api', dependencies: { express: '^4.0.0', pg: '^8.0.0' } },
+    'team-template.md': [
+      '# {TITLE} for {FRAMEWORK}',
+      '{#if DATABASE}',
+      'Database: {DATABASE}',
+      '{/if}',
+      '{#if !CACHE}',
+      'No cache detected.',
+      '{/if}',
+      '{#if CACHE}',
+      'Cache: {CACHE}',
+      '{/if}',
+      'Keep {UNKNOWN} as written.',
+      '',
+    ].join('\n'),
+  });
+
+  const res = cli(box, ['--init', 'cursor', '--template', 'team-template.md']);
+  assert.equal(res.status, 0, res.stderr);
+  const text = readFileSync(join(box.project, '.cursorrules'), 'utf-8');
+  assert.match(text, /^# Cursor Rules for Express\nDatabase: PostgreSQL\nNo cache detected\.\nKeep \{UNKNOWN\} as written\.$/m);
+
+  assert.equal(cli(box, ['--init', 'cursor', '--check', '--template', 'team-template.md']).status, 0);
+  assert.equal(cli(box, ['--init', 'cursor', '--check']).status, 1);
+});
+
+test('--init claude fills CLAUDE.md with detected values and marks the rest TODO', (t) => {
+  const box = sandbox();
+  t.after(box.remove);
+  writeTree(box.project, {
+    'package.json': {
+      name: 'shop-api', description: 'Orders and payments',
+      scripts: { test: 'jest', dev: 'nodemon src/index.js' },
+      dependencies: { express: '^4.0.0', pg: '^8.0.0', 'passport-jwt': '^4.0.0' },
+    },
+    'package-lock.json': '{}',
+    '.env.example': 'DATABASE_URL=postgres://localhost/shop\nJWT_SECRET=\n',
+    'src/users/users.service.js': '',
+  });
+
+  const res = cli(box, ['--init', 'claude']);
+  assert.equal(res.status, 0, res.stderr);
+  const text = readFileSync(join(box.project, 'CLAUDE.md'), 'utf-8');
+  assert.match(text, /^- \*\*Name\*\*: shop-api$/m);
+  assert.match(text, /^- \*\*Description\*\*: Orders and payments$/m);
+  assert.match(text, /^- \*\*Framework\*\*: Express$/m);
+  assert.match(text, /^- \*\*Database\*\*: PostgreSQL$/m);
+  assert.match(text, /^- \*\*ORM\*\*: TODO: /m);
+  assert.match(text, /^# Install dependencies\nnpm install$/m);
+  assert.match(text, /^# Run development server\nnpm run dev$/m);
+  assert.match(text, /^# Run tests\nnpm test$/m);
+  assert.match(text, /^# Run linter\n# TODO: lint command$/m);
+  assert.match(text, /^src\/\n└── users\/$/m);
+  assert.match(text, /^- Auth: JWT$/m);
+  assert.match(text, /^- `DATABASE_URL`\n- `JWT_SECRET`$/m);
+  assert.doesNotMatch(text, /\[[^\]]+ \/ [^\]]+\]/, 'no unfilled [A / B] placeholders');
+});
+
+test('--init all covers Zed, Aider, Continue, Junie and Gemini CLI', (t) => {
+  const box = sandbox();
+  t.after(box.remove);
+  writeTree(box.project, {
+    'package.json': { name: 'api', dependencies: { express: '^4.0.0' } },
+    '.aider.conf.yml': 'model: sonnet\nread: [docs/STYLE.md]\n',
+  });
+
+  const res = cli(box, ['--init', 'all']);
+  assert.equal(res.status, 0, res.stderr);
+  for (const [file, title] of [
+    ['.rules', 'Zed Rules'],
+    ['CONVENTIONS.md', 'Conventions'],
+    ['.continue/rules/backend-rules.md', 'Backend Rules'],
+    ['.junie/guidelines.md', 'Guidelines'],
+    ['GEMINI.md', 'Gemini Context'],
+  ]) {
+    assert.match(readFileSync(join(box.project, file), 'utf-8'), new RegExp(`^# Express Project — ${title}$`, 'm'), file);
+  }
+  assert.match(readFileSync(join(box.project, '.continue', 'rules', 'backend-rules.md'), 'utf-8'),
+    /^---\nname: Backend rules\ndescription: .+\nalwaysApply: true\n---\n/);
+  assert.equal(readFileSync(join(box.project, '.aider.conf.yml'), 'utf-8'),
+    'model: sonnet\nread:\n  - docs/STYLE.md\n  - CONVENTIONS.md\n');
+
+  assert.match(cli(box, ['--init', 'aider']).stdout, /\.aider\.conf\.yml is up to date/);
+});
+
+test('--init skips existing files and --refresh rewrites only the managed block', (t) => {
+  const box = sandbox();
+  t.after(box.remove);
+  const pkg = orm => ({ name: 'api', dependencies: { express: '^4.0.0', ...orm } });
+  writeTree(box.project, { 'package.json': pkg({ '@prisma/client': '^5.0.0' }) });
+  assert.equal(cli(box, ['--init', 'cursor']).status, 0);
+
+  const fp = join(box.project, '.cursorrules');
+  writeFileSync(fp, `# Team intro\n\n${readFileSync(fp, 'utf-8')}\n## Team rules\n- Ship on Fridays\n`);
+  writeTree(box.project, { 'package.json': pkg({ 'drizzle-orm': '^0.30.0' }) });
+
+  let res = cli(box, ['--init', 'cursor']);
+  assert.equal(res.status, 0, res.stderr);
+  assert.match(res.stdout, /\.cursorrules already exists — skipped/);
+  assert.match(readFileSync(fp, 'utf-8'), /^- ORM: Prisma$/m);
+
+  res = cli(box, ['--init', 'cursor', '--refresh']);
+  assert.equal(res.status, 0, res.stderr);
+  assert.match(res.stdout, /managed block refreshed: Express/);
+  const text = readFileSync(fp, 'utf-8');
+  assert.match(text, /^# Team intro\n\n<!-- skill-backend-mt:begin/);
+  assert.match(text, /^- ORM: Drizzle$/m);
+  assert.doesNotMatch(text, /Prisma/);
+  assert.match(text, /<!-- skill-backend-mt:end -->\n\n## Team rules\n- Ship on Fridays\n$/);
+  assert.match(cli(box, ['--init', 'cursor', '--refresh']).stdout, /\.cursorrules is up to date/);
+});
+
+test('--init --refresh adds a managed block to a hand-written rules file', (t) => {
+  const box = sandbox();
+  t.after(box.remove);
+  writeTree(box.project, {
+    'package.json': { name: 'api', dependencies: { express: '^4.0.0' } },
+    '.clinerules/backend-rules.md': '# Our rules\n- Keep handlers thin\n',
+  });
+
+  const res = cli(box, ['--init', 'cline', '--refresh']);
+  assert.equal(res.status, 0, res.stderr);
+  assert.match(res.stdout, /managed block added: Express/);
+  const text = readFileSync(join(box.project, '.clinerules', 'backend-rules.md'), 'utf-8');
+  assert.match(text, /^# Our rules\n- Keep handlers thin\n\n<!-- skill-backend-mt:begin/);
+  assert.match(text, /<!-- skill-backend-mt:end -->\n$/);
+});
+
+test('--init --check fails on front matter drift', (t) => {
+  const box = sandbox();
+  t.after(box.remove);
+  writeTree(box.project, { 'package.json': { name: 'api', dependencies: { '@nestjs/core': '^10.0.0' } } });
+  assert.equal(cli(box, ['--init', 'cursor-mdc']).status, 0);
+  assert.equal(cli(box, ['--init', 'cursor-mdc', '--check']).status, 0);
+
+  const fp = join(box.project, '.cursor', 'rules', 'security.mdc');
+  writeFileSync(fp, readFileSync(fp, 'utf-8').replace(/^description: .*$/m, 'description: old rules'));
+  const res = cli(box, ['--init', 'cursor-mdc', '--check']);
+  assert.equal(res.status, 1);
+  assert.match(res.stdout, /^\s+-description: old rules$/m);
+});
+
+test('--init rules take the traps of the detected framework and ORM only', (t) => {
+  const box = sandbox();
+  t.after(box.remove);
+  writeTree(box.project, {
+    'package.json': { name: 'api', dependencies: { '@nestjs/core': '^10.0.0', '@prisma/client': '^5.0.0' } },
+  });
+
+  const res = cli(box, ['--init', 'cursor']);
+  assert.equal(res.status, 0, res.stderr);
+  const text = readFileSync(join(box.project, '.cursorrules'), 'utf-8');
+  assert.match(text, /^## NestJS Rules$/m);
+  assert.match(text, /^- NestJS services are singletons/m);
+  assert.match(text, /^- Prisma: findUnique/m);
+  assert.doesNotMatch(text, /^- (Express|TypeORM|Next\.js):/m);
+});
+
+test('--budget drops framework conventions before known traps and bans', (t) => {
+  const box = sandbox();
+  t.after(box.remove);
+  writeTree(box.project, { 'go.mod': 'module api\n\ngo 1.22\n' });
+
+  const res = cli(box, ['--init', 'cursor', '--budget', '750']);
+  assert.equal(res.status, 0, res.stderr);
+  const text = readFileSync(join(box.project, '.cursorrules'), 'utf-8');
+  assert.match(text, /^## Go Rules$/m);
+  assert.match(text, /^Hard bans:\n- Don't use global state/m);
+  assert.match(text, /^Known traps:$/m);
+  assert.doesNotMatch(text, /^Conventions:$/m);
+});
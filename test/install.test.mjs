@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, readFileSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { sandbox, writeTree, cli, copyPackage } from './helpers.mjs';
+
+const skillDir = box => join(box.home, '.claude', 'skills', 'skill-backend-mt');
+const manifest = box => JSON.parse(readFileSync(join(skillDir(box), '.skill-manifest.json'), 'utf-8'));
+
+test('--slim on a Fastify project installs only the Express & Fastify guide', (t) => {
+  const box = sandbox();
+  t.after(box.remove);
+  writeTree(box.project, { 'package.json': { name: 'api', dependencies: { fastify: '^4.0.0' } } });
+
+  const res = cli(box, ['--claude', '--slim']);
+  assert.equal(res.status, 0, res.stderr);
+  assert.deepEqual(manifest(box).only, ['nodejs/express.md']);
+  assert.match(readFileSync(join(skillDir(box), 'nodejs', 'nestjs.md'), 'utf-8'), /^# NestJS — not installed/);
+});
+
+test('the package AGENTS.md is installed and missing package files are reported', (t) => {
+  const box = sandbox();
+  t.after(box.remove);
+
+  let res = cli(box, ['--claude']);
+  assert.equal(res.status, 0, res.stderr);
+  assert.doesNotMatch(res.stdout + res.stderr, /Package (file|folder) missing/);
+  assert.match(readFileSync(join(skillDir(box), 'AGENTS.md'), 'utf-8'), /SKILL\.md/);
+  assert.ok(manifest(box).files['AGENTS.md']);
+
+  const pkg = join(box.root, 'pkg');
+  const bin = copyPackage(pkg);
+  rmSync(join(pkg, 'AGENTS.md'));
+  rmSync(join(pkg, 'php'), { recursive: true });
+  res = cli(box, ['--codex'], { bin });
+  assert.equal(res.status, 0, res.stderr);
+  assert.match(res.stdout + res.stderr, /Package file missing: AGENTS\.md — not installed/);
+  assert.match(res.stdout + res.stderr, /Package folder missing or empty: php\/ — not installed/);
+  assert.ok(!existsSync(join(box.home, '.codex', 'skills', 'skill-backend-mt', 'AGENTS.md')));
+});
+
+test('--init agents writes a root AGENTS.md with the stack, commands and rules', (t) => {
+  const box = sandbox();
+  t.after(box.remove);
+  writeTree(box.project, { 'package.json': { name: 'api', scripts: { test: 'vitest run' }, dependencies: { '@nestjs/core': '^10.0.0' } } });
+
+  const res = cli(box, ['--init', 'agents']);
+  assert.equal(res.status, 0, res.stderr);
+  const text = readFileSync(join(box.project, 'AGENTS.md'), 'utf-8');
+  assert.match(text, /^# NestJS Project — Agent Instructions$/m);
+  assert.match(text, /^- Test: `npm test`$/m);
+  assert.match(text, /^## NestJS Rules$/m);
+});
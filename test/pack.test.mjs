@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, readdirSync } from 'node:fs';
+import { join } from 'node:path';
+import { sandbox, writeTree, cli } from './helpers.mjs';
+
+test('--uninstall removes what a --pack install added', (t) => {
+  const box = sandbox();
+  t.after(box.remove);
+  const pack = join(box.root, 'acme');
+  writeTree(pack, {
+    'pack.json': { name: 'acme', version: '1.0.0', files: [{ file: 'sso.md', triggers: ['ACME SSO'] }] },
+    'sso.md': '# ACME SSO\n\nUse the acme-sso client.\n',
+  });
+  const skills = join(box.home, '.claude', 'skills');
+  const dst = join(skills, 'skill-backend-mt');
+
+  const install = cli(box, ['--claude', '--pack', pack]);
+  assert.equal(install.status, 0, install.stderr);
+  assert.ok(existsSync(join(dst, 'packs', 'acme', 'sso.md')));
+
+  const res = cli(box, ['--uninstall', '--claude']);
+  assert.equal(res.status, 0, res.stderr);
+  assert.match(res.stdout, /skill-backend-mt\/ removed from Claude Code/);
+  assert.doesNotMatch(res.stdout, /kept user files/);
+  assert.ok(!existsSync(dst), `left behind: ${existsSync(dst) ? readdirSync(dst, { recursive: true }).join(', ') : ''}`);
+});
+
+test('--uninstall keeps user files added inside a pack folder', (t) => {
+  const box = sandbox();
+  t.after(box.remove);
+  const pack = join(box.root, 'acme');
+  writeTree(pack, {
+    'pack.json': { name: 'acme', files: [{ file: 'sso.md' }] },
+    'sso.md': '# ACME SSO\n',
+  });
+  const dst = join(box.home, '.claude', 'skills', 'skill-backend-mt');
+
+  assert.equal(cli(box, ['--claude', '--pack', pack]).status, 0);
+  writeTree(dst, { 'packs/acme/notes.md': '# Mine\n' });
+
+  const res = cli(box, ['--uninstall', '--claude']);
+  assert.equal(res.status, 0, res.stderr);
+  assert.match(res.stdout, /kept user files/);
+  assert.deepEqual(readdirSync(dst, { recursive: true }).sort(), ['packs', 'packs/acme', 'packs/acme/notes.md']);
+});
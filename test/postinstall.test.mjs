@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, mkdirSync, readdirSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { sandbox, writeTree, cli } from './helpers.mjs';
+
+// npm's environment for a postinstall run from the project that added the package
+const postinstall = (box, env = {}) => ({ CI: '', npm_lifecycle_event: 'postinstall', npm_config_global: '', INIT_CWD: box.project, ...env });
+
+function project(t, deps = { '@buivietphi/skill-backend-mt': '^1.0.0' }) {
+  const box = sandbox();
+  t.after(box.remove);
+  writeTree(box.project, { 'package.json': { name: 'app', devDependencies: deps } });
+  mkdirSync(join(box.home, '.cursor'));
+  return box;
+}
+
+test('--auto skips CI, the opt-out variable and transitive installs', (t) => {
+  const box = project(t);
+  const nested = project(t, { 'some-tool': '^1.0.0' });
+
+  for (const [b, env, reason] of [
+    [box, { CI: '1' }, 'CI is set'],
+    [box, { SKILL_BACKEND_SKIP_POSTINSTALL: '1' }, 'SKILL_BACKEND_SKIP_POSTINSTALL is set'],
+    [nested, {}, 'not a top-level install'],
+    [box, { INIT_CWD: '' }, 'not a top-level install'],
+  ]) {
+    const res = cli(b, ['--auto'], { env: postinstall(b, env) });
+    assert.equal(res.status, 0, res.stderr);
+    assert.equal(res.stdout, `skill-backend-mt: skipped (${reason}) — run npx @buivietphi/skill-backend-mt --auto to install\n`);
+  }
+  assert.deepEqual(readdirSync(join(box.home, '.cursor')), []);
+  assert.deepEqual(readdirSync(join(nested.home, '.cursor')), []);
+});
+
+test('--auto installs for detected agents with a one-line summary', (t) => {
+  const box = project(t);
+
+  const res = cli(box, ['--auto'], { env: postinstall(box) });
+  assert.equal(res.status, 0, res.stderr);
+  assert.match(res.stdout, /^skill-backend-mt: installed v[\d.]+ for Cursor \(--status for details\)\n$/);
+  assert.ok(existsSync(join(box.home, '.cursor', 'skills', 'skill-backend-mt', 'SKILL.md')));
+});
+
+test('--auto never fails the host install', (t) => {
+  const box = project(t);
+  writeFileSync(join(box.home, '.cursor', 'skills'), 'not a folder\n');
+
+  const res = cli(box, ['--auto'], { env: postinstall(box) });
+  assert.equal(res.status, 0);
+  assert.match(res.stdout, /^skill-backend-mt: not installed — ENOTDIR: .+\n$/);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { sandbox, cli } from './helpers.mjs';
+
+const PKG = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf-8'));
+const LOCKFILE = 'skill-backend-mt.lock.json';
+
+test('--project installs into the repo and records the version in the lockfile', (t) => {
+  const box = sandbox();
+  t.after(box.remove);
+
+  const res = cli(box, ['--claude', '--antigravity', '--project']);
+  assert.equal(res.status, 0, res.stderr);
+  assert.ok(existsSync(join(box.project, '.claude', 'skills', 'skill-backend-mt', 'SKILL.md')));
+  assert.ok(existsSync(join(box.project, '.agents', 'skills', 'skill-backend-mt', 'SKILL.md')));
+  assert.ok(!existsSync(join(box.home, '.claude')));
+  assert.deepEqual(JSON.parse(readFileSync(join(box.project, LOCKFILE), 'utf-8')), {
+    name: 'skill-backend-mt',
+    version: PKG.version,
+    agents: { antigravity: '.agents/skills/skill-backend-mt', claude: '.claude/skills/skill-backend-mt' },
+  });
+
+  assert.equal(cli(box, ['--uninstall', '--antigravity', '--project']).status, 0);
+  assert.deepEqual(Object.keys(JSON.parse(readFileSync(join(box.project, LOCKFILE), 'utf-8')).agents), ['claude']);
+  assert.equal(cli(box, ['--uninstall', '--claude', '--project']).status, 0);
+  assert.ok(!existsSync(join(box.project, LOCKFILE)));
+});
+
+test('install and --status warn when the global copy and the repo copy disagree', (t) => {
+  const box = sandbox();
+  t.after(box.remove);
+  assert.equal(cli(box, ['--claude', '--project']).status, 0);
+  assert.equal(cli(box, ['--claude']).status, 0);
+
+  const fp = join(box.home, '.claude', 'skills', 'skill-backend-mt', '.skill-manifest.json');
+  writeFileSync(fp, JSON.stringify({ ...JSON.parse(readFileSync(fp, 'utf-8')), version: '0.9.0' }));
+  const sub = join(box.project, 'services', 'api');
+  mkdirSync(sub, { recursive: true });
+
+  const drift = new RegExp(`Claude Code: global copy v0\\.9\\.0 ≠ repo copy v${PKG.version.replace(/\./g, '\\.')}`);
+  for (const [args, cwd] of [[['--status'], box.project], [['--status'], sub], [['--cursor'], box.project]]) {
+    const res = cli(box, args, { cwd });
+    assert.equal(res.status, 0, res.stderr);
+    assert.match(res.stdout, drift, `${args.join(' ')} in ${cwd}`);
+  }
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { existsSync, readFileSync, writeFileSync, appendFileSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { sandbox, cli } from './helpers.mjs';
+
+const PKG = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf-8'));
+const sha256 = fp => createHash('sha256').update(readFileSync(fp)).digest('hex');
+
+test('install writes a manifest with the package version and file hashes', (t) => {
+  const box = sandbox();
+  t.after(box.remove);
+  const skill = join(box.home, '.claude', 'skills', 'skill-backend-mt');
+
+  assert.equal(cli(box, ['--claude']).status, 0);
+  const manifest = JSON.parse(readFileSync(join(skill, '.skill-manifest.json'), 'utf-8'));
+  assert.equal(manifest.version, PKG.version);
+  assert.ok(!Number.isNaN(Date.parse(manifest.installedAt)));
+  assert.equal(manifest.files['SKILL.md'], sha256(join(skill, 'SKILL.md')));
+  assert.equal(manifest.files['shared/code-review.md'], sha256(join(skill, 'shared', 'code-review.md')));
+});
+
+test('--status lists drift and --fix restores modified and missing files', (t) => {
+  const box = sandbox();
+  t.after(box.remove);
+  const skill = join(box.home, '.claude', 'skills', 'skill-backend-mt');
+
+  assert.equal(cli(box, ['--claude']).status, 0);
+  let res = cli(box, ['--status']);
+  assert.match(res.stdout, new RegExp(`Claude Code +v${PKG.version} up to date`));
+  assert.match(res.stdout, /Cursor +not installed/);
+
+  appendFileSync(join(skill, 'SKILL.md'), '\nlocal note\n');
+  rmSync(join(skill, 'shared', 'code-review.md'));
+  writeFileSync(join(skill, 'notes.md'), 'mine\n');
+  res = cli(box, ['--status']);
+  assert.equal(res.status, 0, res.stderr);
+  assert.match(res.stdout, /1 modified, 1 missing, 1 extra/);
+  assert.match(res.stdout, /^ +M SKILL\.md$/m);
+  assert.match(res.stdout, /^ +D shared\/code-review\.md$/m);
+  assert.match(res.stdout, /^ +\? notes\.md$/m);
+  assert.match(res.stdout, /Run with --fix to reinstall 1 agent\(s\)/);
+
+  res = cli(box, ['--status', '--fix']);
+  assert.equal(res.status, 0, res.stderr);
+  assert.match(res.stdout, /1 agent\(s\) repaired/);
+  assert.doesNotMatch(readFileSync(join(skill, 'SKILL.md'), 'utf-8'), /local note/);
+  assert.ok(existsSync(join(skill, 'shared', 'code-review.md')));
+  assert.ok(existsSync(join(skill, 'notes.md')), 'extra files are kept');
+  assert.match(cli(box, ['--status']).stdout, /0 modified, 0 missing, 1 extra/);
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, appendFileSync, readdirSync } from 'node:fs';
+import { join } from 'node:path';
+import { sandbox, cli, ageManifest } from './helpers.mjs';
+
+const skillDir = box => join(box.home, '.claude', 'skills', 'skill-backend-mt');
+
+test('--uninstall without a terminal needs agent flags or --all', (t) => {
+  const box = sandbox();
+  t.after(box.remove);
+  assert.equal(cli(box, ['--claude']).status, 0);
+
+  const res = cli(box, ['--uninstall']);
+  assert.equal(res.status, 1);
+  assert.match(res.stderr + res.stdout, /--uninstall needs --all or agent flags/);
+  assert.ok(existsSync(join(skillDir(box), 'SKILL.md')));
+});
+
+test('--uninstall removes untouched .new files from --update and lists edited ones', (t) => {
+  const box = sandbox();
+  t.after(box.remove);
+  const dst = skillDir(box);
+  assert.equal(cli(box, ['--claude']).status, 0);
+
+  // Local edits to files the package changed make --update write its copy beside them
+  appendFileSync(join(dst, 'SKILL.md'), '\nlocal note\n');
+  appendFileSync(join(dst, 'AGENTS.md'), '\nlocal note\n');
+  ageManifest(dst, ['SKILL.md', 'AGENTS.md']);
+  const update = cli(box, ['--update', '--claude']);
+  assert.equal(update.status, 0, update.stderr);
+  assert.ok(existsSync(join(dst, 'SKILL.md.new')));
+  assert.ok(existsSync(join(dst, 'AGENTS.md.new')));
+  appendFileSync(join(dst, 'AGENTS.md.new'), '\nmerged by hand\n');
+
+  const res = cli(box, ['--uninstall', '--claude']);
+  assert.equal(res.status, 0, res.stderr);
+  assert.match(res.stdout + res.stderr, /kept AGENTS\.md\.new/);
+  assert.deepEqual(readdirSync(dst), ['AGENTS.md.new']);
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, appendFileSync, readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { sandbox, cli, ageManifest } from './helpers.mjs';
+
+const skillDir = box => join(box.home, '.claude', 'skills', 'skill-backend-mt');
+
+test('--update keeps an edited file without asking when the package copy did not change', (t) => {
+  const box = sandbox();
+  t.after(box.remove);
+  const dst = skillDir(box);
+  assert.equal(cli(box, ['--claude']).status, 0);
+
+  appendFileSync(join(dst, 'SKILL.md'), '\nlocal note\n');
+  const res = cli(box, ['--update', '--claude']);
+  assert.equal(res.status, 0, res.stderr);
+  assert.match(res.stdout, /\(0 updated\)/);
+  assert.ok(!existsSync(join(dst, 'SKILL.md.new')));
+  assert.match(readFileSync(join(dst, 'SKILL.md'), 'utf-8'), /local note/);
+});
+
+test('--update writes .new beside edited files and never replaces a .new merged by hand', (t) => {
+  const box = sandbox();
+  t.after(box.remove);
+  const dst = skillDir(box);
+  const side = join(dst, 'SKILL.md.new');
+  assert.equal(cli(box, ['--claude']).status, 0);
+
+  appendFileSync(join(dst, 'SKILL.md'), '\nlocal note\n');
+  ageManifest(dst, ['SKILL.md']);
+  let res = cli(box, ['--update', '--claude']);
+  assert.equal(res.status, 0, res.stderr);
+  assert.match(res.stdout, /1 written as \.new/);
+  assert.equal(readFileSync(side, 'utf-8'), readFileSync(new URL('../SKILL.md', import.meta.url), 'utf-8'));
+
+  appendFileSync(side, '\nmerged by hand\n');
+  ageManifest(dst, ['SKILL.md']);
+  res = cli(box, ['--update', '--claude']);
+  assert.equal(res.status, 0, res.stderr);
+  assert.match(res.stdout, /SKILL\.md\.new has local edits — kept/);
+  assert.match(res.stdout, /1 kept/);
+  assert.match(readFileSync(side, 'utf-8'), /merged by hand/);
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, writeFileSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { sandbox, cli, copyPackage } from './helpers.mjs';
+
+const edit = (fp, fn) => writeFileSync(fp, fn(readFileSync(fp, 'utf-8')));
+
+test('--verify passes on the shipped package', (t) => {
+  const box = sandbox();
+  t.after(box.remove);
+
+  const res = cli(box, ['--verify', '--json']);
+  assert.equal(res.status, 0, res.stdout);
+  const report = JSON.parse(res.stdout);
+  assert.deepEqual([report.ok, report.errors, report.warnings], [true, [], []]);
+  assert.ok(report.referenced > 30);
+});
+
+test('--verify fails on missing and unreachable files, stale sizes and version drift', (t) => {
+  const box = sandbox();
+  t.after(box.remove);
+  const pkg = join(box.root, 'pkg');
+  const bin = copyPackage(pkg);
+
+  rmSync(join(pkg, 'shared', 'bug-detection.md'));
+  writeFileSync(join(pkg, 'shared', 'orphan.md'), '# Orphan\n');
+  edit(join(pkg, 'SKILL.md'), s => s.replace(/^(  SKILL\.md +)[\d,]+ bytes/m, '$112,000 bytes'));
+  edit(join(pkg, 'package.json'), s => s.replace(/"version": "[^"]+"/, '"version": "9.9.9"'));
+
+  const res = cli(box, ['--verify', '--json'], { bin });
+  assert.equal(res.status, 1);
+  const { ok, errors, warnings } = JSON.parse(res.stdout);
+  assert.equal(ok, false);
+  assert.ok(errors.includes('Task Router: shared/bug-detection.md does not exist'), errors.join('\n'));
+  assert.ok(errors.includes('shared/orphan.md is not reachable from the Task Router or Smart Loading'));
+  assert.ok(errors.some(e => /^Reference Files: SKILL\.md states 12,000 bytes, actual [\d,]+ \(-\d+%\)$/.test(e)));
+  assert.ok(errors.some(e => /^SKILL\.md front matter version [\d.]+ ≠ package\.json 9\.9\.9$/.test(e)));
+  assert.ok(errors.some(e => /CHANGELOG.*9\.9\.9/.test(e)), errors.join('\n'));
+  assert.ok(warnings.includes('Reference Files: shared/orphan.md is not listed'));
+});